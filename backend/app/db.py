@@ -890,11 +890,18 @@ class DatabaseManager:
                     raise ValueError(f"Meeting with ID {meeting_id} not found")
                 
                 # Update the summary in the summary_processes table
-                await conn.execute("""
+                cursor = await conn.execute("""
                     UPDATE summary_processes
                     SET result = ?, updated_at = ?
                     WHERE meeting_id = ?
                 """, (json.dumps(summary), now, meeting_id))
+
+                # Summaries generated elsewhere (e.g. the Chrome extension) have no process row yet
+                if cursor.rowcount == 0:
+                    await conn.execute("""
+                        INSERT INTO summary_processes (meeting_id, status, created_at, updated_at, result, start_time, end_time)
+                        VALUES (?, 'completed', ?, ?, ?, ?, ?)
+                    """, (meeting_id, now, now, json.dumps(summary), now, now))
                 
                 # Update the meeting's updated_at timestamp
                 await conn.execute("""
@@ -1,6 +1,6 @@
 // build.js — esbuild bundler for Ivey Meeting Notes extension
 import { build } from 'esbuild';
-import { cpSync, mkdirSync, readdirSync, copyFileSync, existsSync } from 'fs';
+import { cpSync, mkdirSync, readdirSync, copyFileSync, existsSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -16,7 +16,7 @@ mkdirSync(join(dist, 'icons'), { recursive: true });
 mkdirSync(join(dist, 'wasm'),  { recursive: true });
 
 // ── Copy static files ────────────────────────────────────────────────────────
-const statics = ['manifest.json', 'popup.html', 'offscreen.html'];
+const statics = ['manifest.json', 'popup.html', 'offscreen.html', 'options.html'];
 for (const f of statics) {
   const from = join(__dirname, f);
   if (existsSync(from)) {
@@ -25,10 +25,15 @@ for (const f of statics) {
   }
 }
 
-// Copy popup.css
-if (existsSync(join(src, 'popup.css'))) {
-  copyFileSync(join(src, 'popup.css'), join(dist, 'popup.css'));
-  console.log('Copied: popup.css');
+// The side panel is the popup's full view: same markup, flagged for popup.js and popup.css
+const popupHtml = readFileSync(join(__dirname, 'popup.html'), 'utf8');
+writeFileSync(join(dist, 'sidepanel.html'), popupHtml.replace('<body>', '<body class="side-panel">'));
+console.log('Generated: sidepanel.html');
+
+// Copy stylesheets (popup.css, options.css, …)
+for (const f of readdirSync(src).filter(f => f.endsWith('.css'))) {
+  copyFileSync(join(src, f), join(dist, f));
+  console.log(`Copied: ${f}`);
 }
 
 // Copy icons
@@ -66,7 +71,10 @@ const entries = [
   { in: join(src, 'background.js'),  out: join(dist, 'background') },
   { in: join(src, 'content.js'),     out: join(dist, 'content') },
   { in: join(src, 'offscreen.js'),   out: join(dist, 'offscreen') },
+  { in: join(src, 'whisperWorker.js'), out: join(dist, 'whisperWorker') },
+  { in: join(src, 'captureWorklet.js'), out: join(dist, 'captureWorklet') },
   { in: join(src, 'popup.js'),       out: join(dist, 'popup') },
+  { in: join(src, 'options.js'),     out: join(dist, 'options') },
 ];
 
 console.log('\nBundling JS...');
@@ -0,0 +1,227 @@
+/**
+ * actionItems.js — Action items as records, and their export
+ *
+ * The structured notes (notesSchema.js) already list each action item's
+ * owner, task, due date and a quote. itemsFromNotes() turns them into records
+ * that the meeting store keeps across meetings with a done flag. The due date
+ * is also read as a calendar date where it names one ("Friday", "Oct 23",
+ * "2026-10-23", "end of month"), counting from the day of the meeting.
+ *
+ * Items export as CSV for trackers, and as iCalendar with a VTODO and an
+ * all-day VEVENT for every dated item — the task list and the calendar each
+ * get one. Undated items have no place in a calendar; they are in the CSV.
+ *
+ * Used by meetingStore.js, background.js and the popup.
+ */
+
+// ── Records ────────────────────────────────────────────────────────────────────
+/**
+ * Action item records for a meeting's structured notes: [{ meetingId,
+ * meetingTitle, meetingStartTime, owner, task, due, dueDate, quote, done,
+ * doneAt, createdAt }]. `due` is as the notes say it; `dueDate` is
+ * "YYYY-MM-DD" or null. The meeting's title and start are copied so the list
+ * and the exports never load the meeting itself.
+ */
+export function itemsFromNotes(meeting) {
+    const createdAt = meeting.notesGeneratedAt ?? Date.now();
+    return (meeting.notesJson?.actionItems ?? []).map(item => ({
+        meetingId: meeting.id,
+        meetingTitle: meeting.title,
+        meetingStartTime: meeting.startTime,
+        owner: item.owner || 'Unassigned',
+        task: item.task,
+        due: item.due || 'TBD',
+        dueDate: parseDueDate(item.due, meeting.startTime),
+        quote: item.quote ?? '',
+        done: false,
+        doneAt: null,
+        createdAt,
+    }));
+}
+
+/** The same item from regenerated notes — its done flag carries over. */
+export function sameItem(a, b) {
+    const key = item => `${item.owner}\u0000${item.task}`.toLowerCase().replace(/\s+/g, ' ');
+    return key(a) === key(b);
+}
+
+// ── Due dates ──────────────────────────────────────────────────────────────────
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(?:,?\\s+(\\d{4}))?';
+
+/**
+ * "YYYY-MM-DD" for a due date as people say it, counted from `reference` (the
+ * meeting's start, ms); null for "TBD", "ASAP" and anything not understood.
+ * Weekdays mean the next one after the meeting; dates without a year the
+ * next one on or after it. Numeric dates like 10/11 are ambiguous and skipped.
+ */
+export function parseDueDate(text, reference) {
+    const due = (text ?? '').trim().toLowerCase();
+    if (!due) return null;
+    const base = new Date(reference);
+    base.setHours(0, 0, 0, 0);
+    const day = offset => dateString(new Date(base.getFullYear(), base.getMonth(), base.getDate() + offset));
+
+    const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(due);
+    if (iso) return validDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+    if (/\b(today|tonight)\b/.test(due)) return day(0);
+    if (/\btomorrow\b/.test(due)) return day(1);
+    if (/\beow\b|end of (the |this )?week/.test(due)) return day((5 - base.getDay() + 7) % 7);
+    if (/\beom\b|end of (the |this )?month/.test(due)) {
+        return dateString(new Date(base.getFullYear(), base.getMonth() + 1, 0));
+    }
+    if (/\bnext week\b/.test(due)) return day(((1 - base.getDay() + 7) % 7) || 7);
+
+    const monthFirst = new RegExp(`\\b${MONTH_NAME}\\s+${DAY}\\b${YEAR}`).exec(due);
+    const dayFirst = new RegExp(`\\b${DAY}\\s+(?:of\\s+)?${MONTH_NAME}${YEAR}`).exec(due);
+    if (monthFirst || dayFirst) {
+        const [month, date, year] = monthFirst
+            ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+            : [dayFirst[2], dayFirst[1], dayFirst[3]];
+        const m = MONTHS.indexOf(month.slice(0, 3));
+        if (year) return validDate(Number(year), m, Number(date));
+        const thisYear = validDate(base.getFullYear(), m, Number(date));
+        return thisYear && thisYear < dateString(base) ? validDate(base.getFullYear() + 1, m, Number(date)) : thisYear;
+    }
+
+    const weekday = /\b(sun|mon|tue|wed|thu|fri|sat)(?:s|nes|rs?|ur)?(?:day)?\b/.exec(due);
+    if (weekday) return day(((WEEKDAYS.indexOf(weekday[1]) - base.getDay() + 7) % 7) || 7);
+
+    // "EOD" alone — with a weekday it is that day's end
+    return /\beod\b|end of (the )?day/.test(due) ? day(0) : null;
+}
+
+// null for dates that do not exist, e.g. February 30
+function validDate(year, month, date) {
+    const d = new Date(year, month, date);
+    return d.getMonth() === month && d.getDate() === date ? dateString(d) : null;
+}
+
+// Local calendar date, e.g. "2026-10-19"
+function dateString(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────────
+/**
+ * Items as { filename, blob } in `format` 'csv' or 'ics'. Throws if there is
+ * nothing to export.
+ */
+export function exportActionItems(items, format, now = Date.now()) {
+    const filename = `Action items ${dateString(new Date(now))}.${format}`;
+    if (!items.length) throw new Error('There are no action items to export.');
+    if (format === 'csv') {
+        return { filename, blob: new Blob([toCsv(items)], { type: 'text/csv;charset=utf-8' }) };
+    }
+    if (format === 'ics') {
+        const dated = items.filter(item => item.dueDate);
+        if (!dated.length) throw new Error('None of these action items has a due date for the calendar — use CSV instead.');
+        return { filename, blob: new Blob([toIcs(dated, now)], { type: 'text/calendar;charset=utf-8' }) };
+    }
+    throw new Error(`Unknown export format: ${format}`);
+}
+
+// ── CSV ────────────────────────────────────────────────────────────────────────
+const CSV_COLUMNS = [
+    ['Task', item => item.task],
+    ['Owner', item => item.owner],
+    ['Due', item => item.due],
+    ['Due date', item => item.dueDate ?? ''],
+    ['Status', item => (item.done ? 'Done' : 'Open')],
+    ['Meeting', item => item.meetingTitle ?? ''],
+    ['Meeting date', item => (item.meetingStartTime ? dateString(new Date(item.meetingStartTime)) : '')],
+    ['Quote', item => item.quote],
+];
+
+// RFC 4180, with a byte-order mark so Excel reads it as UTF-8
+function toCsv(items) {
+    const rows = [CSV_COLUMNS.map(([name]) => name), ...items.map(item => CSV_COLUMNS.map(([, value]) => value(item)))];
+    return `\uFEFF${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function csvCell(value) {
+    // Spreadsheets run cells starting with these as formulas
+    const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ── iCalendar ──────────────────────────────────────────────────────────────────
+const ICS_PRODUCT = '-//Ivey Meeting Notes//Action items//EN';
+const ICS_DOMAIN = 'ivey-meeting-notes';
+
+function toIcs(items, now) {
+    const stamp = icsTimestamp(now);
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT}`, 'CALSCALE:GREGORIAN'];
+    for (const item of items) {
+        const due = item.dueDate.replace(/-/g, '');
+        const summary = `${item.task} (${item.owner})`;
+        const description = [
+            item.quote && `"${item.quote}"`,
+            `Due: ${item.due}`,
+            item.meetingTitle && `From: ${item.meetingTitle}${item.meetingStartTime ? `, ${dateString(new Date(item.meetingStartTime))}` : ''}`,
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${item.id}@${ICS_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${icsText(summary)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            `DUE;VALUE=DATE:${due}`,
+            `STATUS:${item.done ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+            ...(item.done && item.doneAt ? [`COMPLETED:${icsTimestamp(item.doneAt)}`] : []),
+            'END:VTODO',
+            'BEGIN:VEVENT',
+            `UID:${item.id}-due@${ICS_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${due}`,
+            `DTEND;VALUE=DATE:${icsNextDay(item.dueDate)}`,
+            `SUMMARY:${icsText(`${item.done ? '✓ ' : ''}Due: ${summary}`)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// 1760875200000 → "20261019T120000Z"
+function icsTimestamp(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All-day events end on the day after — "2026-10-31" → "20261101"
+function icsNextDay(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return dateString(new Date(y, m - 1, d + 1)).replace(/-/g, '');
+}
+
+function icsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space,
+// never splitting a character
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (bytes + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
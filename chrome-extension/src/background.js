@@ -2,35 +2,85 @@
  * background.js — Service Worker (MV3)
  * 
  * Coordinates the full pipeline:
- *   tabCapture → offscreen audio/whisper → transcript store → Ollama summarization
+ *   tabCapture → offscreen audio/whisper → transcript store → local LLM summarization
  * 
- * Privacy: No audio or text leaves this device. Only localhost:11434 is contacted.
+ * Privacy: No audio or text leaves this device. Only the LLM endpoint configured on
+ * the options page (127.0.0.1:11434 by default) is contacted, plus the Meetily
+ * backend (127.0.0.1:5167 by default) when sync is turned on.
  */
 
+import {
+    createMeeting, getMeeting, listMeetings, updateMeeting, deleteMeeting,
+    appendTranscriptEntry, replaceTranscript, addBookmark,
+    listActionItems, replaceActionItems, retitleActionItems, updateActionItem,
+} from './meetingStore.js';
+import { itemsFromNotes } from './actionItems.js';
+import { summarizeMeeting, classifyMeeting, updateLiveSummary, catchUpSummary } from './summarizer.js';
+import { askMeeting } from './meetingChat.js';
+import { applyEdit } from './transcriptEdits.js';
+import { getTemplates, getTemplate, AUTO_TEMPLATE_ID, DEFAULT_TEMPLATE_ID } from './templates.js';
+import { getSettings, whisperModel, whisperOptions } from './settings.js';
+import { requestSync, retrySync, runSync, SYNC_RETRY_ALARM } from './sync.js';
+import { platformForUrl, MEETING_URL_PATTERNS } from './platforms/index.js';
+import {
+    resetReconciler, noteCaption, holdWhisperTurn, releaseWhisperTurns, WHISPER_HOLD_MS,
+    noteTabAudio, isMicEcho,
+} from './reconcile.js';
+import {
+    recordSpeakerChange, clearSpeakerTimeline, speakerAt, attributeWords, segmentsToWords,
+    attributeWordsByTranscript,
+} from './speakerTimeline.js';
+
 // ── Constants ──────────────────────────────────────────────────────────────────
 const OFFSCREEN_URL = chrome.runtime.getURL('offscreen.html');
-const OLLAMA_URL = 'http://127.0.0.1:11434/v1/chat/completions';
-const OLLAMA_MODEL = 'llama3.2';
 const KEEP_ALIVE_ALARM = 'keepAlive';
+const LIVE_SUMMARY_ALARM = 'liveSummary';
+const LIVE_SUMMARY_MIN_ENTRIES = 3;   // fewer new entries wait for the next round
 
 // ── State (persisted in session storage to survive SW restart) ─────────────────
-let currentSpeaker = 'Unknown';
+// The transcript itself lives in the meeting store; session storage only
+// remembers which meeting is active. Speaker changes go to speakerTimeline.js.
 let isRecording = false;
+let recordingTabId = null;    // only this tab's speaker updates count
+let retranscribingId = null;  // meeting being re-transcribed in the offscreen document
+let activeGeneration = null;  // { meetingId, controller, text, progress } while notes stream in
+let activeQuestion = null;    // { meetingId, controller } while an answer streams in
+let liveSummaryRun = null;    // { meetingId, controller } while the live summary updates
+let activeCatchUp = null;     // { meetingId, controller } while a catch-up streams in
+
+chrome.storage.session.get('tabId').then((s) => { recordingTabId ??= s.tabId ?? null; });
 
 // Persist recording state so popup can query it after SW restart
 async function saveState(patch) {
     await chrome.storage.session.set(patch);
 }
 async function loadState() {
-    const s = await chrome.storage.session.get(['isRecording', 'transcript', 'startTime']);
+    const s = await chrome.storage.session.get(['isRecording', 'startTime', 'meetingId', 'isPaused', 'pausedAt', 'pausedMs']);
     isRecording = s.isRecording ?? false;
-    return s;
+    const meeting = s.meetingId ? await getMeeting(s.meetingId) : null;
+    const generation = activeGeneration && {
+        meetingId: activeGeneration.meetingId,
+        text: activeGeneration.text,
+        progress: activeGeneration.progress,
+    };
+    return {
+        ...s,
+        transcript: meeting?.transcript ?? [],
+        bookmarks: meeting?.bookmarks ?? [],
+        pauses: meeting?.pauses ?? [],
+        liveSummary: meeting?.liveSummary ?? null,
+        liveSummaryUpdating: !!liveSummaryRun,
+        generation,
+    };
 }
 
 // ── Keep service worker alive ──────────────────────────────────────────────────
 chrome.alarms.create(KEEP_ALIVE_ALARM, { periodInMinutes: 0.4 });
+chrome.alarms.create(SYNC_RETRY_ALARM, { periodInMinutes: 1 });
 chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === KEEP_ALIVE_ALARM) { /* heartbeat — keeps SW alive */ }
+    if (alarm.name === SYNC_RETRY_ALARM) runSync();
+    if (alarm.name === LIVE_SUMMARY_ALARM) refreshLiveSummary();
 });
 
 // ── Message router ─────────────────────────────────────────────────────────────
@@ -38,193 +88,743 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     switch (msg.action) {
 
         case 'speakerUpdate':
-            // From content.js: who is currently speaking
-            currentSpeaker = msg.speakerName || 'Unknown';
+            // From content.js: who is currently speaking — other meeting tabs are ignored
+            if (recordingTabId && sender.tab?.id !== recordingTabId) return false;
+            recordSpeakerChange(msg.speakerName || 'Unknown', msg.timestamp);
             return false;
 
         case 'transcriptChunk':
-            // From offscreen.js: a new transcribed text chunk
-            handleTranscriptChunk(msg.text, msg.timestamp).then(() => sendResponse({ ok: true }));
-            return true; // async
+            // From offscreen.js (Whisper, with word timings) or content.js (a finished caption line)
+            if (msg.source === 'captions' && recordingTabId && sender.tab?.id !== recordingTabId) return false;
+            return reply(handleTranscriptChunk(msg).then(() => ({ ok: true })), sendResponse);
+
+        case 'captionProgress':
+            // From content.js in "both" mode: a caption line is still being spoken
+            if (sender.tab?.id === recordingTabId) noteCaption(msg);
+            return false;
 
         case 'startRecording':
-            startRecording(msg.tabId).then(sendResponse);
-            return true;
+            return reply(startRecording(msg.tabId), sendResponse);
 
         case 'stopRecording':
-            stopRecording().then(sendResponse);
-            return true;
+            return reply(stopRecording(), sendResponse);
+
+        case 'pauseRecording':
+            return reply(pauseRecording(), sendResponse);
+
+        case 'resumeRecording':
+            return reply(resumeRecording(), sendResponse);
+
+        case 'addBookmark':
+            return reply(bookmarkNow(msg.label), sendResponse);
 
         case 'generateNotes':
-            generateNotes().then(sendResponse);
+            generateNotes(msg.meetingId, msg.templateId).catch(failure).then((result) => {
+                // Broadcast too — a popup reopened mid-stream has no pending response
+                chrome.runtime.sendMessage({ action: 'notesDone', result }).catch(() => { });
+                sendResponse(result);
+            });
             return true;
 
+        case 'cancelNotes':
+            activeGeneration?.controller.abort();
+            sendResponse({ ok: true });
+            return false;
+
+        case 'updateLiveSummary':
+            return reply(refreshLiveSummary({ force: true }), sendResponse);
+
+        case 'catchUp':
+            return reply(catchUp(msg.meetingId, msg.minutes), sendResponse);
+
+        case 'cancelCatchUp':
+            activeCatchUp?.controller.abort();
+            sendResponse({ ok: true });
+            return false;
+
+        case 'askMeeting':
+            return reply(answerQuestion(msg.meetingId, msg.question, msg.history), sendResponse);
+
+        case 'cancelQuestion':
+            activeQuestion?.controller.abort();
+            sendResponse({ ok: true });
+            return false;
+
         case 'getState':
-            loadState().then(sendResponse);
-            return true;
+            return reply(loadState(), sendResponse);
+
+        case 'listMeetings':
+            return reply(listMeetings().then(ms => ({ ok: true, meetings: ms.map(meetingSummary) })), sendResponse);
+
+        case 'getMeeting':
+            return reply(getMeeting(msg.meetingId).then(meeting => (
+                meeting ? { ok: true, meeting } : { ok: false, error: 'Meeting not found.' }
+            )), sendResponse);
+
+        case 'renameMeeting':
+            return reply(renameMeeting(msg.meetingId, msg.title), sendResponse);
+
+        case 'deleteMeeting':
+            return reply(removeMeeting(msg.meetingId), sendResponse);
+
+        case 'listActionItems':
+            return reply(actionItemList(), sendResponse);
+
+        case 'setActionItemDone':
+            return reply(setActionItemDone(msg.id, msg.done), sendResponse);
+
+        case 'retrySync':
+            return reply(retrySync(msg.meetingId), sendResponse);
+
+        case 'retranscribe':
+            return reply(retranscribeMeeting(msg.meetingId), sendResponse);
+
+        case 'editTranscript':
+            return reply(editTranscript(msg.meetingId, msg.edit), sendResponse);
+
+        case 'importTranscript':
+            return reply(importTranscript(msg.transcript), sendResponse);
     }
 });
 
+// Answer an async request. A rejection (IndexedDB failing, say) is answered
+// too, so the popup is not left waiting for a response that never comes.
+function reply(promise, sendResponse) {
+    promise.catch(failure).then(sendResponse);
+    return true;
+}
+
+function failure(err) {
+    console.error('[background] request failed:', err);
+    return { ok: false, error: err.message };
+}
+
 // ── Start recording ────────────────────────────────────────────────────────────
+// The transcript comes from Whisper, the meeting's live captions, or both
+// (settings.transcription.source); captions fall back to Whisper where the
+// platform has no caption selectors.
 async function startRecording(tabId) {
+    if (retranscribingId) return { ok: false, error: 'Wait for the re-transcription to finish.' };
     try {
         isRecording = true;
-
-        // Get stream ID (must happen in background, before offscreen exists)
-        const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
-
-        // Create or reuse offscreen document
-        const existingContexts = await chrome.runtime.getContexts({
-            contextTypes: ['OFFSCREEN_DOCUMENT'],
-            documentUrls: [OFFSCREEN_URL],
-        });
-        if (!existingContexts.length) {
-            await chrome.offscreen.createDocument({
-                url: OFFSCREEN_URL,
-                reasons: ['USER_MEDIA'],
-                justification: 'Capture Teams audio for local transcription with Whisper',
-            });
+        const { transcription } = await getSettings();
+        let source = transcription.source;
+        let warning = null;
+
+        // Every recording gets its own meeting record
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        const platform = platformForUrl(tab?.url);
+        recordingTabId = tabId;
+        clearSpeakerTimeline();
+        resetReconciler();
+        // content.js only reports changes — seed the timeline with whoever is talking now
+        const info = await chrome.tabs.sendMessage(tabId, { action: 'getMeetingInfo' }).catch(() => null);
+        if (info?.activeSpeaker) recordSpeakerChange(info.activeSpeaker);
+
+        if (source !== 'whisper') {
+            const captions = await chrome.tabs.sendMessage(tabId, {
+                action: 'startCaptions',
+                reportProgress: source === 'both',
+            }).catch(() => null);
+            if (!captions?.supported) {
+                source = 'whisper';
+                warning = `Live captions can't be read in ${platform?.label ?? 'this tab'} — using Whisper instead.`;
+            } else if (!captions.visible) {
+                warning = 'Turn on live captions in the meeting to record caption text.';
+            }
         }
 
-        // Reset transcript
+        // Get stream ID (must happen in background, before offscreen exists).
+        // Captions-only mode still captures audio when it is archived.
+        const captureAudio = source !== 'captions' || transcription.archiveAudio;
+        const streamId = captureAudio
+            ? await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId })
+            : null;
+
+        const meeting = await createMeeting({
+            title: platform?.meetingTitle(tab.title) ?? null,
+            platform: platform?.id ?? null,
+            transcriptSource: source,
+        });
         await saveState({
+            tabId,
             isRecording: true,
-            transcript: [],
-            startTime: Date.now(),
+            startTime: meeting.startTime,
+            meetingId: meeting.id,
+            transcriptSource: source,
+            selfName: info?.selfName ?? null,
+            isPaused: false,
+            pausedAt: null,
+            pausedMs: 0,
         });
 
-        // Tell offscreen to start capturing
-        await chrome.runtime.sendMessage({
-            action: 'startCapture',
-            streamId,
-            targetTabId: tabId,
-        });
+        if (streamId) {
+            await ensureOffscreen();
+            // Tell offscreen to start capturing
+            await chrome.runtime.sendMessage({
+                action: 'startCapture',
+                streamId,
+                targetTabId: tabId,
+                meetingId: meeting.id,
+                microphone: transcription.microphone,
+                archiveAudio: transcription.archiveAudio,
+                transcribe: source !== 'captions',
+                model: whisperModel(transcription.modelSize, transcription.multilingual),
+                whisperOptions: whisperOptions(transcription),
+                modelDownloads: transcription.modelDownloads,
+            });
+        }
 
-        return { ok: true };
+        broadcastRecordingState();
+        scheduleLiveSummary();
+        return { ok: true, meetingId: meeting.id, source, warning };
     } catch (err) {
         console.error('[background] startRecording error:', err);
+        chrome.tabs.sendMessage(tabId, { action: 'stopCaptions' }).catch(() => {});
         isRecording = false;
         await saveState({ isRecording: false });
         return { ok: false, error: err.message };
     }
 }
 
+// Create or reuse offscreen document
+async function ensureOffscreen() {
+    const existingContexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [OFFSCREEN_URL],
+    });
+    if (!existingContexts.length) {
+        await chrome.offscreen.createDocument({
+            url: OFFSCREEN_URL,
+            reasons: ['USER_MEDIA'],
+            justification: 'Capture meeting tab audio and transcribe it locally with Whisper',
+        });
+    }
+}
+
 // ── Stop recording ─────────────────────────────────────────────────────────────
 async function stopRecording() {
+    const { isPaused } = await chrome.storage.session.get('isPaused');
+    if (isPaused) await resumeRecording({ restart: false });
     isRecording = false;
     await saveState({ isRecording: false });
+    broadcastRecordingState();
+    chrome.alarms.clear(LIVE_SUMMARY_ALARM);
+    liveSummaryRun?.controller.abort();   // the notes come next and need the model
+
+    const { meetingId, tabId, transcriptSource } = await chrome.storage.session.get(['meetingId', 'tabId', 'transcriptSource']);
 
     try {
-        // Tell offscreen to stop
+        // Tell offscreen to stop — it transcribes the last utterance and saves
+        // the archived audio before answering
         await chrome.runtime.sendMessage({ action: 'stopCapture' });
         // Close offscreen document
         await chrome.offscreen.closeDocument();
     } catch (_) { /* ignore if already closed */ }
 
+    // Caption lines still on screen, and Whisper turns waiting on captions, are final now
+    if (meetingId && transcriptSource !== 'whisper') {
+        const captions = await chrome.tabs.sendMessage(tabId, { action: 'stopCaptions' }).catch(() => null);
+        const lines = captions?.lines ?? [];
+        lines.forEach(noteCaption);
+        await appendEntries(meetingId, lines);
+        await appendEntries(meetingId, releaseWhisperTurns({ flush: true }));
+    }
+
+    const meeting = meetingId && await updateMeeting(meetingId, { endTime: Date.now() });
+    if (meeting?.transcript.length) requestSync(meetingId, 'transcript');
+
     return { ok: true };
 }
 
+// ── Pause / resume ─────────────────────────────────────────────────────────────
+// The meeting record and the offscreen document stay; offscreen transcribes
+// what was said up to the pause and ignores the audio until resumed.
+async function pauseRecording() {
+    const { isPaused } = await chrome.storage.session.get('isPaused');
+    if (!isRecording) return { ok: false, error: 'Not recording.' };
+    if (isPaused) return { ok: true };
+
+    await saveState({ isPaused: true, pausedAt: Date.now() });
+    broadcastRecordingState();
+    // Captions-only recordings without an archive have no offscreen document
+    await chrome.runtime.sendMessage({ action: 'pauseCapture' }).catch(() => { });
+    return { ok: true };
+}
+
+// `restart: false` only closes the pause, for a stop while paused
+async function resumeRecording({ restart = true } = {}) {
+    const { isPaused, pausedAt, pausedMs = 0, meetingId } =
+        await chrome.storage.session.get(['isPaused', 'pausedAt', 'pausedMs', 'meetingId']);
+    if (!isRecording) return { ok: false, error: 'Not recording.' };
+    if (!isPaused) return { ok: true };
+
+    const now = Date.now();
+    await updateMeeting(meetingId, m => ({ ...m, pauses: [...(m.pauses ?? []), { start: pausedAt, end: now }] }));
+    await saveState({ isPaused: false, pausedAt: null, pausedMs: pausedMs + (now - pausedAt) });
+    if (!restart) return { ok: true };
+
+    broadcastRecordingState();
+    await chrome.runtime.sendMessage({ action: 'resumeCapture' }).catch(() => { });
+    return { ok: true };
+}
+
+// ── Bookmarks ──────────────────────────────────────────────────────────────────
+async function bookmarkNow(label = '') {
+    const { meetingId } = await chrome.storage.session.get('meetingId');
+    if (!isRecording || !meetingId) return { ok: false, error: 'Start recording to bookmark a moment.' };
+
+    const bookmark = await addBookmark(meetingId, { timestamp: Date.now(), label });
+    chrome.runtime.sendMessage({ action: 'bookmarkAdded', meetingId, bookmark }).catch(() => { });
+    flashBadge('★');
+    return { ok: true, bookmark };
+}
+
+// ── Keyboard shortcuts ─────────────────────────────────────────────────────────
+// Declared under "commands" in the manifest; they work without the popup open
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command === 'toggle-recording') {
+        if (isRecording) return stopRecording();
+        const meetingTab = await shortcutMeetingTab(tab);
+        if (!meetingTab) return flashBadge('!', 'Open a meeting tab to record it.');
+        const result = await startRecording(meetingTab.id);
+        if (!result.ok) flashBadge('!', result.error);
+    }
+    if (command === 'toggle-pause') {
+        const { isPaused } = await chrome.storage.session.get('isPaused');
+        const result = isPaused ? await resumeRecording() : await pauseRecording();
+        if (!result.ok) flashBadge('!', result.error);
+    }
+    if (command === 'add-bookmark') {
+        const result = await bookmarkNow();
+        if (!result.ok) flashBadge('!', result.error);
+    }
+});
+
+// The shortcut grants tab capture for the active tab only, so that is the one to record
+async function shortcutMeetingTab(activeTab) {
+    if (platformForUrl(activeTab?.url)) return activeTab;
+    const [tab] = await chrome.tabs.query({ url: MEETING_URL_PATTERNS }).catch(() => []);
+    return tab ?? null;
+}
+
+// ── Toolbar badge ──────────────────────────────────────────────────────────────
+// Shows the recording state while the popup is closed
+async function updateBadge() {
+    const { isPaused } = await chrome.storage.session.get('isPaused');
+    const text = !isRecording ? '' : isPaused ? 'II' : 'REC';
+    await chrome.action.setBadgeBackgroundColor({ color: isPaused ? '#f59e0b' : '#ef4444' });
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setTitle({ title: '' });   // back to the extension name
+}
+
+// Briefly show `text` (e.g. a bookmark star), with `title` as the tooltip
+function flashBadge(text, title = '') {
+    chrome.action.setBadgeText({ text });
+    if (title) chrome.action.setTitle({ title });
+    setTimeout(updateBadge, title ? 5000 : 1500);
+}
+
+// Tell the popup (if open) and the badge that recording started, paused, resumed or stopped
+async function broadcastRecordingState() {
+    const state = await chrome.storage.session.get(['isRecording', 'meetingId', 'startTime', 'isPaused', 'pausedAt', 'pausedMs']);
+    chrome.runtime.sendMessage({ action: 'recordingState', ...state }).catch(() => { });
+    await updateBadge();
+}
+
 // ── Handle incoming transcript chunk ──────────────────────────────────────────
-async function handleTranscriptChunk(text, timestamp) {
+// Whisper words from the tab are attributed to whoever was speaking when they
+// were captured, so one chunk may become several entries. Mic chunks are the
+// user's own voice. Caption lines already carry their speaker. In "both" mode
+// Whisper turns wait to see whether captions cover them.
+async function handleTranscriptChunk(msg) {
+    const { text, timestamp, endTimestamp, words, timing, language } = msg;
     if (!text?.trim()) return;
+    // Before any await: the mic chunk for the same moment is checked against this
+    if (msg.channel === 'tab') noteTabAudio(msg);
+
+    const { meetingId, isRecording: recording, transcriptSource, isPaused } =
+        await chrome.storage.session.get(['meetingId', 'isRecording', 'transcriptSource', 'isPaused']);
+    if (!meetingId) return;
+
+    if (msg.source === 'captions') {
+        if (!recording || isPaused || transcriptSource === 'whisper') return;
+        const entry = { speaker: msg.speaker || 'Unknown', text: text.trim(), timestamp, endTimestamp, source: 'captions' };
+        if (transcriptSource === 'both') noteCaption(entry);
+        await appendEntries(meetingId, [entry]);
+        return;
+    }
+
+    const start = timestamp || Date.now();
+    let turns;
+    if (msg.channel === 'mic') {
+        const turn = {
+            speaker: await selfSpeakerName(),
+            text: text.trim(),
+            timestamp: words?.[0]?.start ?? start,
+            endTimestamp: words?.[words.length - 1]?.end ?? endTimestamp,
+        };
+        turns = isMicEcho(turn) ? [] : [turn];
+    } else {
+        turns = words?.length
+            ? attributeWords(timing === 'segment' ? segmentsToWords(words) : words)
+            : [{ speaker: speakerAt(start), text: text.trim(), timestamp: start, endTimestamp }];
+    }
+    turns = turns.map(turn => ({
+        ...turn,
+        source: 'whisper',
+        channel: msg.channel ?? 'tab',
+        ...(language && { language }),   // spoken language, even when translated
+    }));
+    if (!turns.length) return;
+
+    if (transcriptSource === 'both') {
+        turns.forEach(turn => holdWhisperTurn(turn));
+        setTimeout(async () => {
+            const { meetingId: current } = await chrome.storage.session.get('meetingId');
+            if (current === meetingId) await appendEntries(meetingId, releaseWhisperTurns());
+        }, WHISPER_HOLD_MS + 100);
+        return;
+    }
+    await appendEntries(meetingId, turns);
+}
 
-    const { transcript = [] } = await chrome.storage.session.get('transcript');
+// The user's name as the meeting shows it. The roster may not have loaded when
+// recording started, so ask the tab again until it answers.
+async function selfSpeakerName() {
+    const { selfName, tabId } = await chrome.storage.session.get(['selfName', 'tabId']);
+    if (selfName) return selfName;
 
-    const entry = {
-        speaker: currentSpeaker,
-        text: text.trim(),
-        timestamp: timestamp || Date.now(),
-        id: transcript.length,
-    };
+    const info = await chrome.tabs.sendMessage(tabId, { action: 'getMeetingInfo' }).catch(() => null);
+    if (!info?.selfName) return 'Me';
+    await saveState({ selfName: info.selfName });
+    return info.selfName;
+}
 
-    transcript.push(entry);
-    await chrome.storage.session.set({ transcript });
+async function appendEntries(meetingId, entries) {
+    for (const turn of entries) {
+        const entry = await appendTranscriptEntry(meetingId, turn);
+        if (!entry) return;
 
-    // Notify popup if open
-    try {
-        await chrome.runtime.sendMessage({ action: 'transcriptUpdate', entry });
-    } catch (_) { /* popup may not be open */ }
+        // Notify popup if open
+        try {
+            await chrome.runtime.sendMessage({ action: 'transcriptUpdate', meetingId, entry });
+        } catch (_) { /* popup may not be open */ }
+    }
 }
 
-// ── Generate meeting notes via Ollama ─────────────────────────────────────────
-async function generateNotes() {
-    const { transcript = [] } = await chrome.storage.session.get('transcript');
+// ── Generate meeting notes via the local LLM ──────────────────────────────────
+async function generateNotes(meetingId, templateId) {
+    if (!meetingId) ({ meetingId } = await chrome.storage.session.get('meetingId'));
+    const meeting = meetingId ? await getMeeting(meetingId) : null;
+    const transcript = meeting?.transcript ?? [];
 
     if (!transcript.length) {
         return { ok: false, error: 'No transcript to summarize.' };
     }
 
-    // Build the formatted transcript string
-    const formattedTranscript = transcript.map(e => {
-        const t = new Date(e.timestamp).toLocaleTimeString();
-        return `[${t}] ${e.speaker}: ${e.text}`;
-    }).join('\n');
+    if (activeGeneration) return { ok: false, error: 'Notes are already being generated.' };
+    const generation = activeGeneration = {
+        meetingId: meeting.id,
+        controller: new AbortController(),
+        text: '',
+        progress: null,
+    };
 
-    const systemPrompt = `You are an expert meeting summarizer. Generate structured meeting notes from the transcript below.
-The transcript includes real speaker names captured from Microsoft Teams.
+    const sendProgress = (progress) => {
+        generation.progress = progress;
+        chrome.runtime.sendMessage({ action: 'notesProgress', meetingId: meeting.id, ...progress })
+            .catch(() => { /* popup may not be open */ });
+    };
 
-Output a complete Markdown document with these exact sections:
+    try {
+        const template = await resolveTemplate(meeting, templateId, generation.controller.signal, sendProgress);
+
+        const { json, markdown } = await summarizeMeeting(meeting, template, {
+            signal: generation.controller.signal,
+            onToken: (delta, textSoFar) => {
+                generation.text = textSoFar;
+                chrome.runtime.sendMessage({ action: 'notesToken', meetingId: meeting.id, delta })
+                    .catch(() => { /* popup may not be open */ });
+            },
+            onProgress: sendProgress,
+        });
 
-# [Meeting Title — infer from content]
+        // Markdown for people, the validated JSON for tools (sync, action items, …)
+        const notes = markdown.trim();
+        const updated = await updateMeeting(meeting.id, {
+            notes,
+            notesJson: json,
+            notesGeneratedAt: Date.now(),
+            templateId: template.id,
+        });
+        // Deleted meanwhile — its items went with it
+        if (updated) await replaceActionItems(meeting.id, itemsFromNotes(updated));
+        requestSync(meeting.id, 'notes');
+        return { ok: true, notes, notesJson: json, templateId: template.id };
 
-**Date:** ${new Date().toLocaleDateString()}  
-**Attendees:** [list unique speakers]
+    } catch (err) {
+        // Keep whatever streamed before the failure so the popup can still show it
+        const partial = generation.text.trim();
+        if (err.name === 'AbortError') return { ok: false, cancelled: true, error: 'Cancelled.', partial };
+        return { ok: false, error: err.message, partial };
+    } finally {
+        activeGeneration = null;
+    }
+}
 
-## Summary
-[2-3 sentence executive summary]
+// Explicit template, else the default from settings; 'auto' asks the LLM first
+async function resolveTemplate(meeting, templateId, signal, onProgress) {
+    const { notes } = await getSettings();
+    let id = templateId || notes.templateId;
 
-## Key Decisions
-- **[Decision]** — Owner: [Speaker who proposed/confirmed it]
+    if (id === AUTO_TEMPLATE_ID) {
+        onProgress({ stage: 'classify' });
+        id = await classifyMeeting(meeting, await getTemplates(), { signal }) ?? DEFAULT_TEMPLATE_ID;
+    }
+    return getTemplate(id);
+}
 
-## Action Items
-| Owner | Task | Due | Quote |
-| --- | --- | --- | --- |
-[one row per commitment found in transcript]
+// ── Live summary & catch-up ────────────────────────────────────────────────────
+// While recording, the entries added since the last round are folded into a
+// running summary every few minutes (settings.notes.liveSummaryMinutes). It is
+// kept on the meeting record as liveSummary: { text, throughId, updatedAt }.
+async function scheduleLiveSummary() {
+    const { notes } = await getSettings();
+    await chrome.alarms.clear(LIVE_SUMMARY_ALARM);
+    if (notes.liveSummaryMinutes > 0) {
+        chrome.alarms.create(LIVE_SUMMARY_ALARM, { periodInMinutes: notes.liveSummaryMinutes });
+    }
+}
 
-## Blockers & Risks
-- [Blocker/Risk] — raised by [Speaker]
+// `force` (the popup's update button) runs for even one new entry
+async function refreshLiveSummary({ force = false } = {}) {
+    const { meetingId, isRecording: recording, isPaused } =
+        await chrome.storage.session.get(['meetingId', 'isRecording', 'isPaused']);
+    if (!recording || !meetingId) {
+        chrome.alarms.clear(LIVE_SUMMARY_ALARM);
+        return { ok: false, error: 'Not recording.' };
+    }
+    if (liveSummaryRun) return { ok: false, error: 'The summary is already being updated.' };
+    // Notes and answers the user is waiting for come first
+    if (!force && (isPaused || activeGeneration || activeQuestion || activeCatchUp)) return { ok: true, skipped: true };
+
+    const meeting = await getMeeting(meetingId);
+    const previous = meeting?.liveSummary;
+    const fresh = (meeting?.transcript ?? []).filter(e => e.id > (previous?.throughId ?? -1));
+    if (!fresh.length || (!force && fresh.length < LIVE_SUMMARY_MIN_ENTRIES)) {
+        return force ? { ok: false, error: 'Nothing new has been said since the last update.' } : { ok: true, skipped: true };
+    }
 
-## Discussion Highlights
-[paragraph summary of main topics, referencing speakers]
+    const run = liveSummaryRun = { meetingId, controller: new AbortController() };
+    const notify = patch => chrome.runtime.sendMessage({ action: 'liveSummaryUpdate', meetingId, ...patch })
+        .catch(() => { /* popup may not be open */ });
+    notify({ updating: true });
+    try {
+        const text = await updateLiveSummary(previous?.text ?? '', fresh, { signal: run.controller.signal });
+        const liveSummary = { text, throughId: Math.max(...fresh.map(e => e.id)), updatedAt: Date.now() };
+        await updateMeeting(meetingId, { liveSummary });
+        notify({ liveSummary });
+        return { ok: true, liveSummary };
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            notify({ updating: false });
+            return { ok: false, cancelled: true, error: 'Cancelled.' };
+        }
+        console.warn('[background] live summary error:', err);
+        notify({ error: err.message });
+        return { ok: false, error: err.message };
+    } finally {
+        liveSummaryRun = null;
+    }
+}
 
-## Next Steps
-- [Next step] — Owner: [Name], By: [date or TBD]
+// The last `minutes` of the meeting: up to now while recording, else up to
+// its last entry. Streamed to the popup as catchUpToken messages.
+async function catchUp(meetingId, minutes) {
+    const meeting = await getMeeting(meetingId);
+    if (!meeting) return { ok: false, error: 'Meeting not found.' };
+    if (activeCatchUp) return { ok: false, error: 'Already catching up.' };
+
+    const { meetingId: recordingId } = await chrome.storage.session.get('meetingId');
+    const live = isRecording && meetingId === recordingId;
+    const last = meeting.transcript[meeting.transcript.length - 1];
+    const end = live ? Date.now() : (last?.endTimestamp ?? last?.timestamp ?? 0);
+    const entries = meeting.transcript.filter(e => (e.endTimestamp ?? e.timestamp) >= end - minutes * 60 * 1000);
+    if (!entries.length) return { ok: false, error: `Nothing was said in the last ${minutes} minutes.` };
+
+    const run = activeCatchUp = { meetingId, controller: new AbortController() };
+    try {
+        const summary = await catchUpSummary(entries, minutes, {
+            signal: run.controller.signal,
+            onToken: delta => chrome.runtime.sendMessage({ action: 'catchUpToken', meetingId, delta })
+                .catch(() => { /* popup may not be open */ }),
+        });
+        return { ok: true, summary, minutes, from: entries[0].timestamp, to: end };
+    } catch (err) {
+        if (err.name === 'AbortError') return { ok: false, cancelled: true, error: 'Cancelled.' };
+        return { ok: false, error: err.message };
+    } finally {
+        activeCatchUp = null;
+    }
+}
 
-RULES:
-- Only use information from the transcript. Do not invent.
-- Attribute every action item to the speaker who committed to it.
-- If a section has nothing to report, write "None noted."`;
+// ── Ask this meeting ───────────────────────────────────────────────────────────
+// One question at a time, streamed to the popup as chatToken messages. Also
+// works on the meeting being recorded, over what is transcribed so far.
+async function answerQuestion(meetingId, question, history = []) {
+    if (!question?.trim()) return { ok: false, error: 'Type a question first.' };
+    const meeting = await getMeeting(meetingId);
+    if (!meeting) return { ok: false, error: 'Meeting not found.' };
+    if (!meeting.transcript.length) return { ok: false, error: 'Nothing has been transcribed yet.' };
+    if (activeQuestion) return { ok: false, error: 'Still answering the last question.' };
+
+    const { meetingId: recordingId } = await chrome.storage.session.get('meetingId');
+    const asked = activeQuestion = { meetingId, controller: new AbortController() };
+    let partial = '';
+    try {
+        const result = await askMeeting(meeting, question.trim(), {
+            history,
+            inProgress: isRecording && meetingId === recordingId,
+            signal: asked.controller.signal,
+            onToken: (delta, textSoFar) => {
+                partial = textSoFar;
+                chrome.runtime.sendMessage({ action: 'chatToken', meetingId, delta })
+                    .catch(() => { /* popup may not be open */ });
+            },
+        });
+        return { ok: true, ...result };
+    } catch (err) {
+        if (err.name === 'AbortError') return { ok: false, cancelled: true, error: 'Cancelled.', partial };
+        return { ok: false, error: err.message, partial };
+    } finally {
+        activeQuestion = null;
+    }
+}
+
+// ── Re-transcription ───────────────────────────────────────────────────────────
+// Run a saved recording through the larger model and replace the live
+// transcript. Speakers carry over from the live entries by time.
+async function retranscribeMeeting(meetingId) {
+    if (isRecording) return { ok: false, error: 'Stop recording before re-transcribing.' };
+    if (retranscribingId) return { ok: false, error: 'A re-transcription is already running.' };
 
-    const userPrompt = `TRANSCRIPT:\n\n${formattedTranscript}`;
+    const meeting = await getMeeting(meetingId);
+    if (!meeting) return { ok: false, error: 'Meeting not found.' };
+    if (!meeting.audio) return { ok: false, error: 'No recording was saved for this meeting.' };
 
+    retranscribingId = meetingId;
     try {
-        const res = await fetch(OLLAMA_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: OLLAMA_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt },
-                ],
-                stream: false,
-            }),
+        const { transcription } = await getSettings();
+        const model = whisperModel(transcription.retranscribeSize, transcription.multilingual);
+        await ensureOffscreen();
+        const result = await chrome.runtime.sendMessage({
+            action: 'retranscribe',
+            meetingId,
+            model,
+            whisperOptions: whisperOptions(transcription),
+            modelDownloads: transcription.modelDownloads,
         });
+        if (!result?.ok) return { ok: false, error: result?.error ?? 'Re-transcription failed.' };
+        if (!result.words.length) return { ok: false, error: 'No speech was found in the recording.' };
+
+        const words = result.timing === 'segment' ? segmentsToWords(result.words) : result.words;
+        const turns = attributeWordsByTranscript(words, meeting.transcript)
+            .map(turn => ({ ...turn, source: 'whisper' }));
+        const updated = await replaceTranscript(meetingId, turns, { transcribedWith: model });
+        requestSync(meetingId, 'transcript');
+        return { ok: true, meeting: updated };
+    } catch (err) {
+        console.error('[background] retranscribe error:', err);
+        return { ok: false, error: err.message };
+    } finally {
+        retranscribingId = null;
+        if (!isRecording) await chrome.offscreen.closeDocument().catch(() => {});
+    }
+}
 
-        if (!res.ok) {
-            const errText = await res.text();
-            return { ok: false, error: `Ollama error ${res.status}: ${errText}` };
-        }
+// ── Meeting library ───────────────────────────────────────────────────────────
+// Lightweight listing shape for the history view (no full transcript)
+function meetingSummary(m) {
+    return {
+        id: m.id,
+        title: m.title,
+        startTime: m.startTime,
+        endTime: m.endTime,
+        entryCount: m.transcript.length,
+        hasNotes: !!m.notes,
+        hasAudio: !!m.audio,
+        sync: m.sync ? { status: m.sync.status, error: m.sync.error, syncedAt: m.sync.syncedAt } : null,
+    };
+}
 
-        const data = await res.json();
-        const notes = data.choices?.[0]?.message?.content?.trim();
+// One correction from the popup (see transcriptEdits.js); resolves to the new transcript
+async function editTranscript(meetingId, edit) {
+    if (retranscribingId === meetingId) return { ok: false, error: 'Wait for the re-transcription to finish.' };
+    // Applied inside the store's transaction so live entries arriving meanwhile are kept;
+    // a throw there would abort the transaction without its message
+    let error = null;
+    const meeting = await updateMeeting(meetingId, (m) => {
+        try {
+            return { ...m, transcript: applyEdit(m.transcript, edit), transcriptEditedAt: Date.now() };
+        } catch (err) {
+            error = err;
+            return m;
+        }
+    });
+    if (!meeting) return { ok: false, error: 'Meeting not found.' };
+    if (error) return { ok: false, error: error.message };
+
+    // A recording in progress is synced when it stops
+    const { meetingId: recordingId } = await chrome.storage.session.get('meetingId');
+    if (!isRecording || meetingId !== recordingId) requestSync(meetingId, 'transcript');
+    return { ok: true, transcript: meeting.transcript };
+}
 
-        if (!notes) return { ok: false, error: 'Ollama returned empty response.' };
+// A Teams transcript file the popup has parsed (see transcriptImport.js),
+// stored as a finished meeting so notes are generated as for a recording
+async function importTranscript({ title, startTime, entries, fileName }) {
+    if (!entries?.length) return { ok: false, error: 'The transcript is empty.' };
+    try {
+        const meeting = await createMeeting({ title, platform: 'teams', transcriptSource: 'import', startTime });
+        const updated = await replaceTranscript(
+            meeting.id,
+            entries.map(e => ({ ...e, source: 'import' })),
+            { endTime: Math.max(...entries.map(e => e.endTimestamp ?? e.timestamp)), importedFrom: fileName },
+        );
+        requestSync(meeting.id, 'transcript');
+        return { ok: true, meeting: updated };
+    } catch (err) {
+        console.error('[background] import error:', err);
+        return { ok: false, error: err.message };
+    }
+}
 
-        await chrome.storage.session.set({ notes });
-        return { ok: true, notes };
+async function renameMeeting(meetingId, title) {
+    if (!title?.trim()) return { ok: false, error: 'Title cannot be empty.' };
+    const meeting = await updateMeeting(meetingId, { title: title.trim() });
+    if (meeting) await retitleActionItems(meetingId, meeting.title);
+    return meeting ? { ok: true, meeting: meetingSummary(meeting) } : { ok: false, error: 'Meeting not found.' };
+}
 
-    } catch (err) {
-        return { ok: false, error: `Could not reach Ollama at ${OLLAMA_URL}. Make sure it is running: ollama serve` };
+async function removeMeeting(meetingId) {
+    const { meetingId: activeId, isRecording: recording } =
+        await chrome.storage.session.get(['meetingId', 'isRecording']);
+    if (recording && meetingId === activeId) {
+        return { ok: false, error: 'Stop recording before deleting this meeting.' };
     }
+    await deleteMeeting(meetingId);
+    if (meetingId === activeId) await chrome.storage.session.remove('meetingId');
+    return { ok: true };
+}
+
+// ── Action items ───────────────────────────────────────────────────────────────
+// Every meeting's items, kept when notes are generated
+async function actionItemList() {
+    return { ok: true, items: await listActionItems() };
+}
+
+async function setActionItemDone(id, done) {
+    const item = await updateActionItem(id, { done: !!done, doneAt: done ? Date.now() : null });
+    return item ? { ok: true, item } : { ok: false, error: 'Action item not found.' };
 }
@@ -0,0 +1,42 @@
+/**
+ * captureWorklet.js — AudioWorklet processor that hands captured PCM to offscreen.js
+ *
+ * Runs on the audio rendering thread, so capture keeps up however busy the
+ * offscreen page is. Render quanta (128 samples) are collected into blocks
+ * and each block is posted with the context frame of its first sample, which
+ * offscreen.js turns into wall-clock time.
+ */
+
+const BLOCK_SIZE = 2048;   // 128 ms at 16 kHz
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(BLOCK_SIZE);
+        this.filled = 0;
+        this.blockStart = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0]?.[0];
+        if (!input) return true;   // nothing connected yet
+
+        let offset = 0;
+        while (offset < input.length) {
+            if (this.filled === 0) this.blockStart = currentFrame + offset;
+            const count = Math.min(input.length - offset, BLOCK_SIZE - this.filled);
+            this.block.set(input.subarray(offset, offset + count), this.filled);
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === BLOCK_SIZE) {
+                this.port.postMessage({ samples: this.block, frame: this.blockStart }, [this.block.buffer]);
+                this.block = new Float32Array(BLOCK_SIZE);
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
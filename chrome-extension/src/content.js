@@ -1,94 +1,26 @@
 /**
- * content.js — Teams DOM speaker detector
+ * content.js — Meeting DOM speaker detector
  *
- * Injected into teams.microsoft.com. Reads the active speaker's name from
- * the Teams Web UI and reports it to the background service worker.
+ * Injected into Teams, Google Meet, Zoom (web client) and Webex. Picks the
+ * platform adapter for the page (platforms/), reads the active speaker's name
+ * from the meeting UI and reports it to the background service worker.
+ *
+ * In captions mode it also reads the meeting's live captions (platforms/captions.js)
+ * and sends each finished line through the same transcriptChunk path as Whisper.
+ *
+ * Selectors come from the platform's selector pack — the built-in one or a
+ * newer pack imported on the options page, picked up without a page reload.
  *
  * Privacy: only reads DOM — no network calls.
  */
 
-// ── Speaker detection strategies ───────────────────────────────────────────────
-// Teams changes its DOM frequently. We try multiple selectors in order.
-const SPEAKER_SELECTORS = [
-    // Primary: active speaker tile in the meeting stage
-    '[data-is-speaking="true"] [data-tid="speaking-participant-name"]',
-    '[data-is-speaking="true"] .ui-label',
-    '[data-is-speaking="true"] [class*="participant-name"]',
-    '[data-is-speaking="true"] [class*="displayName"]',
-
-    // Secondary: active speaker indicator in participant roster
-    '[class*="activeSpeaker"] [class*="participantName"]',
-    '[class*="activeSpeaker"] .fui-Text',
-    '[class*="active-speaker"] [class*="name"]',
-
-    // Tertiary: calling stage dominant speaker
-    '[data-tid="calling-dominant-speaker"] [data-tid="participant-name"]',
-    '[data-tid="calling-dominant-speaker"] .ui-label',
-    '[data-tid="calling-dominant-speaker"] [class*="displayName"]',
-
-    // Quaternary: video tiles with speaking indicator
-    '[class*="speaking"] [class*="participantName"]',
-    '[class*="speaking"] [class*="displayName"]',
-    '[class*="speaking-border"] ~ * [class*="name"]',
-
-    // Teams 2.0 / new Teams
-    '[data-component-type="callingParticipant"][aria-label*="speaking"] [class*="nameLabel"]',
-    '[class*="dominantSpeaker"] span[class*="text"]',
-];
-
-// ── Self participant detection ─────────────────────────────────────────────────
-function getSelfName() {
-    // Teams usually shows "You" or the logged-in user's name on the self-tile
-    const selfSelectors = [
-        '[data-tid="calling-participant-stream-mine"] [data-tid="participant-name"]',
-        '[class*="self"] [class*="participantName"]',
-        '[class*="selfVideo"] [class*="displayName"]',
-    ];
-    for (const sel of selfSelectors) {
-        const el = document.querySelector(sel);
-        if (el?.textContent?.trim()) return el.textContent.trim();
-    }
-    return null;
-}
-
-// ── Get current active speaker name ───────────────────────────────────────────
-function getActiveSpeaker() {
-    for (const selector of SPEAKER_SELECTORS) {
-        try {
-            const el = document.querySelector(selector);
-            if (el) {
-                const name = el.textContent?.trim();
-                if (name && name.length > 0 && name.length < 80) {
-                    return name;
-                }
-            }
-        } catch (_) { /* ignore invalid selectors */ }
-    }
-
-    // Fallback: look for any element with aria-live that announces a speaker  
-    const liveRegions = document.querySelectorAll('[aria-live]');
-    for (const el of liveRegions) {
-        const text = el.textContent?.trim();
-        if (text && text.includes('speaking') && text.length < 100) {
-            // Extract name before "is speaking" pattern
-            const match = text.match(/^(.+?)\s+(?:is\s+)?speaking/i);
-            if (match?.[1]) return match[1].trim();
-        }
-    }
+import { platformForUrl } from './platforms/index.js';
+import { builtInPack, getSelectorPack, onSelectorPacksChanged } from './platforms/selectorPacks.js';
+import { captureDiagnostics } from './platforms/diagnostics.js';
+import { captionsSupported, captionsVisible, startCaptions, stopCaptions } from './platforms/captions.js';
 
-    return null;
-}
-
-// ── Watch for meeting start ────────────────────────────────────────────────────
-function isMeetingActive() {
-    return !!(
-        document.querySelector('[data-tid="calling-participant-stream"]') ||
-        document.querySelector('[class*="callingScreen"]') ||
-        document.querySelector('[class*="meetingStage"]') ||
-        document.querySelector('[id*="meeting-stage"]') ||
-        document.querySelector('[class*="call-stage"]')
-    );
-}
+const platform = platformForUrl(location.href);
+let pack = platform && builtInPack(platform);   // replaced by the pack in effect once storage answers
 
 // ── Polling loop ───────────────────────────────────────────────────────────────
 let lastReportedSpeaker = null;
@@ -96,17 +28,18 @@ let pollInterval = null;
 
 function startPolling() {
     if (pollInterval) return;
-    console.log('[Ivey] Teams content script started — watching for speakers');
+    console.log(`[Ivey] ${platform.label} content script started — watching for speakers`);
 
     pollInterval = setInterval(() => {
-        if (!isMeetingActive()) return;
+        if (!platform.isMeetingActive(pack)) return;
 
-        const speaker = getActiveSpeaker();
+        const speaker = platform.getActiveSpeaker(pack);
         if (speaker && speaker !== lastReportedSpeaker) {
             lastReportedSpeaker = speaker;
             chrome.runtime.sendMessage({
                 action: 'speakerUpdate',
                 speakerName: speaker,
+                platform: platform.id,
                 timestamp: Date.now(),
             }).catch(() => { /* SW may be sleeping, fine */ });
         }
@@ -121,22 +54,88 @@ function stopPolling() {
 }
 
 // ── MutationObserver for DOM changes ──────────────────────────────────────────
-// This catches when the Teams DOM is ready (SPA, may load after content script)
-const observer = new MutationObserver((mutations) => {
-    if (isMeetingActive() && !pollInterval) {
-        startPolling();
-    }
-});
+// Meeting apps are SPAs and may render the call after the content script loads
+function watchForMeeting() {
+    const observer = new MutationObserver(() => {
+        if (platform.isMeetingActive(pack) && !pollInterval) {
+            startPolling();
+        }
+    });
+
+    observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-is-speaking', 'class', 'aria-label'],
+    });
+
+    // Start immediately if meeting is already active
+    if (platform.isMeetingActive(pack)) startPolling();
+
+    // Listen for page unload
+    window.addEventListener('beforeunload', stopPolling);
+}
+
+// ── Selector packs ─────────────────────────────────────────────────────────────
+function loadSelectorPack() {
+    getSelectorPack(platform).then((p) => { pack = p; }).catch(() => { /* keep the built-in pack */ });
+}
 
-observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['data-is-speaking', 'class', 'aria-label'],
-});
+// ── Queries from the extension ─────────────────────────────────────────────────
+// The service worker asks the recorded tab who the local user is; the options
+// page asks for a diagnostics report
+function answerQueries() {
+    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+        const meetingActive = platform.isMeetingActive(pack);
+        switch (msg.action) {
+            case 'getMeetingInfo':
+                if (!meetingActive) return false;
+                sendResponse({
+                    platform: platform.id,
+                    selfName: platform.getSelfName(pack),
+                    activeSpeaker: platform.getActiveSpeaker(pack),
+                });
+                return false;
+
+            case 'startCaptions':
+                if (!captionsSupported(pack)) {
+                    sendResponse({ supported: false });
+                    return false;
+                }
+                startCaptions(() => pack, sendCaption, msg.reportProgress ? sendCaptionProgress : null);
+                sendResponse({ supported: true, visible: captionsVisible(pack) });
+                return false;
+
+            case 'stopCaptions':
+                // Lines still on screen are returned rather than sent, so none arrive after the stop
+                sendResponse({ lines: stopCaptions().map(line => ({ ...line, source: 'captions' })) });
+                return false;
+
+            case 'runDiagnostics':
+                // With several frames, report from the meeting frame (or the top one)
+                if (!meetingActive && window !== window.top) return false;
+                sendResponse(captureDiagnostics(platform, pack));
+                return false;
+        }
+        return false;
+    });
+}
 
-// Start immediately if meeting is already active
-if (isMeetingActive()) startPolling();
+// ── Live captions ──────────────────────────────────────────────────────────────
+function sendCaption(line) {
+    chrome.runtime.sendMessage({ action: 'transcriptChunk', source: 'captions', ...line })
+        .catch(() => { /* SW may be sleeping, fine */ });
+}
 
-// Listen for page unload
-window.addEventListener('beforeunload', stopPolling);
+// In "both" mode the service worker holds back Whisper text that captions cover
+function sendCaptionProgress(progress) {
+    chrome.runtime.sendMessage({ action: 'captionProgress', ...progress })
+        .catch(() => { /* SW may be sleeping, fine */ });
+}
+
+if (platform) {
+    loadSelectorPack();
+    onSelectorPacksChanged(loadSelectorPack);
+    watchForMeeting();
+    answerQueries();
+}
@@ -0,0 +1,156 @@
+/**
+ * docx.js — Minimal Word (.docx) writer, generated locally
+ *
+ * A .docx file is a ZIP of WordprocessingML parts. This writes the few parts
+ * Word, LibreOffice and Google Docs need for headings, paragraphs, bullets
+ * and tables, and packs them into a ZIP (zip.js) — no library and nothing
+ * leaves the browser.
+ *
+ * Documents are described as blocks:
+ *   { style?: 'Title' | 'Heading1' | 'Heading2' | 'Heading3' | 'ListBullet' | 'Subtle',
+ *     runs: [{ text, bold?, italic? }] }
+ *   { table: [[cell text, …], …] }      first row is the header
+ *
+ * Used by meetingExport.js.
+ */
+
+import { zipFiles } from './zip.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+export const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Sizes are in half-points, spacing in twentieths of a point
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  ${headingStyle('Title', 'Title', 48, 240)}
+  ${headingStyle('Heading1', 'heading 1', 36, 240)}
+  ${headingStyle('Heading2', 'heading 2', 28, 200)}
+  ${headingStyle('Heading3', 'heading 3', 24, 160)}
+  <w:style w:type="paragraph" w:styleId="ListBullet">
+    <w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:after="60"/><w:ind w:left="360" w:hanging="240"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Subtle">
+    <w:name w:val="Subtle"/><w:basedOn w:val="Normal"/>
+    <w:rPr><w:color w:val="6B7280"/><w:sz w:val="20"/></w:rPr>
+  </w:style>
+</w:styles>`;
+
+function headingStyle(id, name, size, before) {
+    return `<w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="${before}" w:after="120"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="1F2937"/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`;
+}
+
+// ── Document ───────────────────────────────────────────────────────────────────
+/** The .docx file for `blocks`, as a Blob. */
+export function buildDocx(blocks) {
+    const body = blocks.map(block => (block.table ? tableXml(block.table) : paragraphXml(block))).join('');
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+    const encoder = new TextEncoder();
+    return zipFiles([
+        { name: '[Content_Types].xml', data: encoder.encode(CONTENT_TYPES) },
+        { name: '_rels/.rels', data: encoder.encode(ROOT_RELS) },
+        { name: 'word/_rels/document.xml.rels', data: encoder.encode(DOCUMENT_RELS) },
+        { name: 'word/styles.xml', data: encoder.encode(STYLES) },
+        { name: 'word/document.xml', data: encoder.encode(document) },
+    ], DOCX_TYPE);
+}
+
+/**
+ * Blocks for the Markdown the notes are rendered as (notesSchema.js):
+ * headings, bullets, pipe tables and paragraphs with **bold** / *italic*.
+ */
+export function markdownBlocks(md) {
+    const blocks = [];
+    let table = null;
+    for (const line of md.split('\n')) {
+        const row = /^\|(.+)\|\s*$/.exec(line);
+        if (row) {
+            const cells = row[1].split('|').map(c => c.trim());
+            if (cells.every(c => /^:?-+:?$/.test(c))) continue;   // header separator
+            if (!table) blocks.push(table = { table: [] });
+            table.table.push(cells);
+            continue;
+        }
+        table = null;
+
+        const heading = /^(#{1,3}) (.+)$/.exec(line);
+        const bullet = /^\s*[-*] (.+)$/.exec(line);
+        if (heading) blocks.push({ style: `Heading${heading[1].length}`, runs: inlineRuns(heading[2]) });
+        else if (bullet) blocks.push({ style: 'ListBullet', runs: [{ text: '•\t' }, ...inlineRuns(bullet[1])] });
+        else if (line.trim()) blocks.push({ runs: inlineRuns(line.trim()) });
+    }
+    return blocks;
+}
+
+// "a **b** *c*" → runs with bold / italic set
+function inlineRuns(text) {
+    return text.split(/(\*\*[^*]+\*\*|\*[^*]+\*)/).filter(Boolean).map((part) => {
+        if (/^\*\*.+\*\*$/.test(part)) return { text: part.slice(2, -2), bold: true };
+        if (/^\*.+\*$/.test(part)) return { text: part.slice(1, -1), italic: true };
+        return { text: part };
+    });
+}
+
+function paragraphXml({ style, runs }) {
+    const pPr = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${pPr}${runs.map(runXml).join('')}</w:p>`;
+}
+
+function runXml({ text, bold, italic }) {
+    const rPr = bold || italic ? `<w:rPr>${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}</w:rPr>` : '';
+    // Tabs and line breaks are elements of their own in WordprocessingML
+    const content = text.split(/(\t|\n)/).map((part) => {
+        if (part === '\t') return '<w:tab/>';
+        if (part === '\n') return '<w:br/>';
+        return part ? `<w:t xml:space="preserve">${escXml(part)}</w:t>` : '';
+    }).join('');
+    return `<w:r>${rPr}${content}</w:r>`;
+}
+
+function tableXml(rows) {
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>`;
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('');
+    const rowsXml = rows.map((cells, r) => `<w:tr>${cells.map(cell =>
+        `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraphXml({
+            runs: inlineRuns(cell).map(run => ({ ...run, bold: run.bold || r === 0 })),
+        })}</w:tc>`).join('')}</w:tr>`).join('');
+    return `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${borders}</w:tblBorders></w:tblPr>${rowsXml}</w:tbl><w:p/>`;
+}
+
+// Characters XML 1.0 does not allow at all are dropped
+function escXml(text) {
+    return text
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,117 @@
+/**
+ * llm.js — Local LLM client (OpenAI-compatible chat completions)
+ *
+ * Talks to whichever server is configured on the options page — Ollama,
+ * LM Studio, llama.cpp or any other OpenAI-compatible endpoint — and streams
+ * each token to the caller as it arrives. Aborting the passed AbortSignal
+ * stops the request mid-stream.
+ *
+ * Privacy: only the configured endpoint (127.0.0.1 by default) is contacted,
+ * and only if it is loopback or a host the user granted.
+ */
+
+import { getSettings, assertHostAllowed, LLM_PROVIDERS } from './settings.js';
+
+// ── Streaming chat completion ──────────────────────────────────────────────────
+/**
+ * Resolves to the full completion text. `onToken(delta, textSoFar)` fires for
+ * every streamed chunk. Rejects with an AbortError when `signal` is aborted.
+ * `responseFormat` is passed through as the OpenAI `response_format` (JSON mode);
+ * `maxTokens` overrides settings.llm.maxTokens for answers that need more room.
+ */
+export async function streamChat(messages, { signal, onToken, responseFormat, maxTokens } = {}) {
+    const { llm } = await getSettings();
+    const url = `${llm.baseUrl}/v1/chat/completions`;
+    await assertHostAllowed(url);
+
+    let res;
+    try {
+        res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: llm.model,
+                messages,
+                temperature: llm.temperature,
+                max_tokens: maxTokens ?? llm.maxTokens,
+                ...(responseFormat && { response_format: responseFormat }),
+                stream: true,
+            }),
+            signal,
+        });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new Error(unreachableMessage(llm));
+    }
+
+    if (!res.ok) {
+        const errText = await res.text();
+        throw new Error(`${providerLabel(llm)} error ${res.status}: ${errText}`);
+    }
+
+    let text = '';
+    for await (const event of sseEvents(res.body)) {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        text += delta;
+        onToken?.(delta, text);
+    }
+    return text;
+}
+
+// ── Model discovery ────────────────────────────────────────────────────────────
+/**
+ * List models installed on a server. Tries Ollama's native /api/tags first,
+ * then the OpenAI-compatible /v1/models that LM Studio and llama.cpp expose.
+ */
+export async function listModels(baseUrl) {
+    await assertHostAllowed(baseUrl);
+    try {
+        const res = await fetch(`${baseUrl}/api/tags`);
+        if (res.ok) {
+            const data = await res.json();
+            if (Array.isArray(data.models)) return data.models.map(m => m.name);
+        }
+    } catch (_) { /* not Ollama, or not reachable — try the OpenAI route */ }
+
+    const res = await fetch(`${baseUrl}/v1/models`);
+    if (!res.ok) throw new Error(`Model list failed (${res.status})`);
+    const data = await res.json();
+    return (data.data ?? []).map(m => m.id);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+export function providerLabel(llm) {
+    return LLM_PROVIDERS[llm.provider]?.label ?? 'LLM server';
+}
+
+function unreachableMessage(llm) {
+    const hint = llm.provider === 'ollama'
+        ? 'Make sure it is running: ollama serve'
+        : 'Make sure the server is running and the endpoint on the options page is correct.';
+    return `Could not reach ${providerLabel(llm)} at ${llm.baseUrl}. ${hint}`;
+}
+
+// ── Server-Sent Events parser ──────────────────────────────────────────────────
+// Streams arrive as "data: {json}" lines, terminated by "data: [DONE]"
+async function* sseEvents(body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            try { yield JSON.parse(data); } catch (_) { /* ignore keep-alive / partial noise */ }
+        }
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * markdown.js — Lightweight Markdown renderer (no deps)
+ *
+ * Covers what meeting notes use: headings, bold/italic, bullets and pipe
+ * tables. Shared by the popup and the HTML export (meetingExport.js).
+ */
+
+/** Markdown → an HTML fragment; the input is escaped first. */
+export function markdownToHtml(md) {
+    let html = md
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        // headings
+        .replace(/^### (.+)$/gm, '<h3>$1</h3>')
+        .replace(/^## (.+)$/gm, '<h2>$1</h2>')
+        .replace(/^# (.+)$/gm, '<h1>$1</h1>')
+        // bold
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        // italic
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        // table header separator (| --- | --- |), line and all
+        .replace(/^\|(\s*:?-+:?\s*\|)+\n?/gm, '')
+        // table rows (pipe syntax)
+        .replace(/^\|(.+)\|$/gm, (_, row) => {
+            const cells = row.split('|').map(c => c.trim());
+            return '<tr>' + cells.map(c => `<td>${c}</td>`).join('') + '</tr>';
+        })
+        // consecutive rows belong to one table
+        .replace(/<\/tr>\n(?=<tr>)/g, '</tr>')
+        // bullets
+        .replace(/^- (.+)$/gm, '<li>$1</li>')
+        // paragraphs
+        .replace(/\n{2,}/g, '</p><p>')
+        // line breaks
+        .replace(/\n/g, '<br>');
+
+    // Wrap bare <tr> in table
+    html = html.replace(/(<tr>[\s\S]*?<\/tr>)+/g, m => `<table>${m}</table>`);
+    // Wrap <li> in ul
+    html = html.replace(/(<li>[\s\S]*?<\/li>)+/g, m => `<ul>${m}</ul>`);
+
+    return `<p>${html}</p>`;
+}
@@ -0,0 +1,193 @@
+/**
+ * meetingChat.js — "Ask this meeting": questions answered from the transcript
+ *
+ * A long transcript does not fit the model's context window next to the
+ * question, so the entries relevant to it are picked first. Each entry is
+ * scored by the question's words it contains, rarer words counting more, and
+ * by whether the question names its speaker. The best entries are sent with
+ * their neighbours for context, in time order, up to the token budget. A
+ * question that matches nothing ("what did I miss?") gets the latest
+ * entries. Short transcripts are sent whole.
+ *
+ * Every excerpt line carries its entry id ("[#12 10:03:15] Jordan: …") and the
+ * model is told to cite the ids it relied on. askMeeting() returns the cited
+ * entries that exist, so the popup can link them back to the transcript.
+ * A meeting still being recorded works too — it is asked about what has been
+ * transcribed so far.
+ */
+
+import { streamChat } from './llm.js';
+import { getSettings } from './settings.js';
+import { estimateTokens } from './summarizer.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const PROMPT_SLACK_TOKENS = 64;     // role markers and the excerpt header
+const MAX_HISTORY_TURNS = 3;        // earlier questions kept for follow-ups
+const HISTORY_SHARE = 0.25;         // ...taking at most this much of the input budget
+const CONTEXT_ENTRIES = 1;          // neighbours sent on each side of a matching entry
+const SPEAKER_WEIGHT = 1;           // score for an entry by a speaker the question names
+
+const STOP_WORDS = new Set(`
+    a about above after again all also am an and any are as at be because been before being
+    both but by can could did do does doing done during each few for from had has have having
+    he her here hers him his how i if in into is it its just me more most my no nor not of off
+    on once only or other our ours out over own said same say says she should so some such
+    than that the their them then there these they this those through to too under until up
+    very was we were what when where which while who whom why will with would you your yours
+    meeting talk talked tell told think thought anything something someone anyone mention
+    mentioned
+`.trim().split(/\s+/));
+
+const SYSTEM_PROMPT = `You answer questions about one meeting, using only the transcript excerpts provided.
+Each excerpt line starts with the entry id and the time, e.g. [#12 10:03:15] Jordan: …
+
+RULES:
+- Only use what the excerpts say. If they do not answer the question, say so plainly.
+- After each statement, cite the entries it comes from by id in square brackets, e.g. [#12] or [#12, #15].
+- Keep real speaker names exactly as written.
+- Answer briefly, in a few sentences or a short list.`;
+
+// ── Ask ────────────────────────────────────────────────────────────────────────
+/**
+ * Answer `question` about a meeting record. `history` is the conversation so
+ * far, [{ question, answer }], for follow-up questions; `inProgress` says the
+ * meeting is still being recorded. Resolves to
+ * { answer, citations: [{ id, speaker, timestamp }] }; `onToken(delta, textSoFar)`
+ * streams the answer. Rejects with an AbortError when `signal` is aborted.
+ */
+export async function askMeeting(meeting, question, { history = [], inProgress = false, signal, onToken } = {}) {
+    const { llm } = await getSettings();
+    const inputBudget = llm.contextWindow - llm.maxTokens;
+
+    const system = `${SYSTEM_PROMPT}\n\n${meetingContext(meeting, inProgress)}`;
+    const earlier = historyMessages(history, inputBudget * HISTORY_SHARE);
+    const used = estimateTokens(system + question) + earlier.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const excerpts = selectExcerpts(meeting.transcript, question, inputBudget - used - PROMPT_SLACK_TOKENS);
+
+    const answer = await streamChat([
+        { role: 'system', content: system },
+        ...earlier,
+        { role: 'user', content: `TRANSCRIPT EXCERPTS:\n\n${excerpts}\n\nQUESTION: ${question}` },
+    ], { signal, onToken });
+
+    return { answer: answer.trim(), citations: citedEntries(answer, meeting.transcript) };
+}
+
+function meetingContext(meeting, inProgress) {
+    const when = new Date(meeting.startTime).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' });
+    const speakers = [...new Set(meeting.transcript.map(e => e.speaker))].join(', ');
+    const status = inProgress ? '\nThe meeting is still in progress; the transcript ends at the latest thing said.' : '';
+    return `MEETING: ${meeting.title} (${when})\nSPEAKERS: ${speakers}${status}`;
+}
+
+// The latest turns that fit `budget`, oldest first. Their excerpts are not
+// repeated — the answers carry the citations the follow-up may refer to.
+function historyMessages(history, budget) {
+    const messages = [];
+    let tokens = 0;
+    for (const turn of history.slice(-MAX_HISTORY_TURNS).reverse()) {
+        const cost = estimateTokens(turn.question + turn.answer);
+        if (tokens + cost > budget) break;
+        tokens += cost;
+        messages.unshift(
+            { role: 'user', content: `QUESTION: ${turn.question}` },
+            { role: 'assistant', content: turn.answer },
+        );
+    }
+    return messages;
+}
+
+// ── Retrieval ──────────────────────────────────────────────────────────────────
+function formatLine(e) {
+    return `[#${e.id} ${new Date(e.timestamp).toLocaleTimeString()}] ${e.speaker}: ${e.text}`;
+}
+
+/**
+ * The transcript lines to send for `question`, within `budget` tokens: all of
+ * them if they fit, otherwise the best matches with their neighbours. Gaps
+ * between the picked stretches are marked "…".
+ */
+function selectExcerpts(transcript, question, budget) {
+    const costs = transcript.map(e => estimateTokens(formatLine(e)) + 1);
+    if (costs.reduce((sum, c) => sum + c, 0) <= budget) return transcript.map(formatLine).join('\n');
+
+    const picked = new Set();
+    let tokens = 0;
+    const take = (i) => {
+        if (picked.has(i) || i < 0 || i >= transcript.length || tokens + costs[i] > budget) return false;
+        picked.add(i);
+        tokens += costs[i];
+        return true;
+    };
+
+    const ranked = scoreEntries(transcript, question)
+        .map((score, i) => ({ score, i }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score || b.i - a.i);
+
+    if (ranked.length) {
+        // Each match first, then its neighbours, so the budget goes to matches
+        for (const { i } of ranked) {
+            if (!take(i)) continue;
+            for (let d = 1; d <= CONTEXT_ENTRIES; d++) { take(i - d); take(i + d); }
+        }
+    } else {
+        for (let i = transcript.length - 1; i >= 0 && take(i); i--) { /* latest first */ }
+    }
+
+    const lines = [];
+    let last = -1;
+    for (const i of [...picked].sort((a, b) => a - b)) {
+        if (lines.length && i > last + 1) lines.push('…');
+        lines.push(formatLine(transcript[i]));
+        last = i;
+    }
+    return lines.join('\n');
+}
+
+// Per entry: the summed rarity (inverse document frequency) of the question
+// words it contains, plus SPEAKER_WEIGHT if the question names its speaker
+function scoreEntries(transcript, question) {
+    const wanted = new Set(terms(question));
+    const entryTerms = transcript.map(e => new Set(terms(e.text)));
+    const frequency = new Map();
+    for (const set of entryTerms) {
+        for (const term of set) if (wanted.has(term)) frequency.set(term, (frequency.get(term) ?? 0) + 1);
+    }
+
+    const named = new Set(transcript
+        .map(e => e.speaker)
+        .filter(speaker => terms(speaker).some(part => wanted.has(part))));
+
+    return transcript.map((e, i) => {
+        let score = named.has(e.speaker) ? SPEAKER_WEIGHT : 0;
+        for (const term of entryTerms[i]) {
+            if (frequency.has(term)) score += Math.log(1 + transcript.length / frequency.get(term));
+        }
+        return score;
+    });
+}
+
+// Lower-cased content words, with plural and tense endings trimmed so
+// "budgets" finds "budget" and "planned" finds "planning"
+function terms(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word));
+}
+
+// ── Citations ──────────────────────────────────────────────────────────────────
+/**
+ * The entries an answer cites as "[#12]" or "[#12, #15]", in the order first
+ * cited: [{ id, speaker, timestamp }]. Ids not in `transcript` are left out.
+ */
+export function citedEntries(answer, transcript) {
+    const byId = new Map(transcript.map(e => [e.id, e]));
+    const ids = new Set();
+    for (const [, group] of answer.matchAll(/\[([^\]]*#\d+[^\]]*)\]/g)) {
+        for (const [, id] of group.matchAll(/#(\d+)/g)) ids.add(Number(id));
+    }
+    return [...ids]
+        .filter(id => byId.has(id))
+        .map(id => ({ id, speaker: byId.get(id).speaker, timestamp: byId.get(id).timestamp }));
+}
@@ -0,0 +1,231 @@
+/**
+ * meetingExport.js — A meeting as downloadable files
+ *
+ * Transcripts export as subtitles (WebVTT with <v Speaker> voice tags, SRT
+ * with the speaker before each line) timed from the start of the recording,
+ * so they line up with the saved audio. Notes and transcript together export
+ * as a standalone HTML page, a Word document built locally (docx.js) or a
+ * JSON dump of the whole meeting record. File names carry the meeting's
+ * title and date, e.g. "Weekly sync 2026-10-19 transcript.vtt".
+ *
+ * Used by the popup.
+ */
+
+import { markdownToHtml } from './markdown.js';
+import { buildDocx, markdownBlocks } from './docx.js';
+
+// ── Formats ────────────────────────────────────────────────────────────────────
+/** [{ id, label }] in the order the export menu lists them. */
+export const EXPORT_FORMATS = [
+    { id: 'md', label: 'Notes — Markdown' },
+    { id: 'txt', label: 'Transcript — text' },
+    { id: 'vtt', label: 'Transcript — WebVTT subtitles' },
+    { id: 'srt', label: 'Transcript — SRT subtitles' },
+    { id: 'html', label: 'Notes + transcript — HTML page' },
+    { id: 'docx', label: 'Notes + transcript — Word (DOCX)' },
+    { id: 'json', label: 'Everything — JSON' },
+];
+
+const FALLBACK_CUE_MS = 3000;   // length of a cue whose entry has no end time
+const MIN_CUE_MS = 500;
+const JSON_FORMAT = 'ivey-meeting-notes';
+const JSON_VERSION = 1;
+
+/**
+ * Build export `format` of a meeting record. Returns { filename, blob };
+ * throws if the meeting has nothing to export in that format.
+ */
+export function exportMeeting(meeting, format) {
+    const transcript = meeting.transcript ?? [];
+    const needsTranscript = ['txt', 'vtt', 'srt'].includes(format);
+    if (format === 'md' && !meeting.notes) throw new Error('This meeting has no notes yet.');
+    if (needsTranscript && !transcript.length) throw new Error('This meeting has no transcript yet.');
+
+    switch (format) {
+        case 'md':
+            return file(meeting, 'notes', 'md', meeting.notes, 'text/markdown');
+        case 'txt':
+            return file(meeting, 'transcript', 'txt', toText(transcript), 'text/plain');
+        case 'vtt':
+            return file(meeting, 'transcript', 'vtt', toWebVtt(meeting), 'text/vtt');
+        case 'srt':
+            return file(meeting, 'transcript', 'srt', toSrt(meeting), 'application/x-subrip');
+        case 'html':
+            return file(meeting, 'meeting', 'html', toHtml(meeting), 'text/html');
+        case 'docx':
+            return { filename: exportFilename(meeting, 'meeting', 'docx'), blob: buildDocx(docxBlocks(meeting)) };
+        case 'json':
+            return file(meeting, 'meeting', 'json', toJson(meeting), 'application/json');
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/** "<title> <YYYY-MM-DD> <part>.<extension>", with characters file systems reject removed. */
+export function exportFilename(meeting, part, extension) {
+    const title = (meeting.title ?? '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80) || 'Meeting';
+    return `${title} ${isoDate(meeting.startTime)} ${part}.${extension}`;
+}
+
+function file(meeting, part, extension, content, type) {
+    return { filename: exportFilename(meeting, part, extension), blob: new Blob([content], { type: `${type};charset=utf-8` }) };
+}
+
+// ── Plain text ─────────────────────────────────────────────────────────────────
+function toText(transcript) {
+    return transcript.map(e => `[${new Date(e.timestamp).toLocaleTimeString()}] ${e.speaker}: ${e.text}`).join('\n');
+}
+
+// ── Subtitles ──────────────────────────────────────────────────────────────────
+function toWebVtt(meeting) {
+    const cues = subtitleCues(meeting).map((cue, i) =>
+        `${i + 1}\n${cueTime(cue.start, '.')} --> ${cueTime(cue.end, '.')}\n<v ${escVtt(cue.speaker)}>${escVtt(cue.text)}</v>`);
+    return `WEBVTT - ${oneLine(meeting.title ?? '')}\n\n${cues.join('\n\n')}\n`;
+}
+
+// SRT has no voice tags — the speaker leads the text instead
+function toSrt(meeting) {
+    const cues = subtitleCues(meeting).map((cue, i) =>
+        `${i + 1}\n${cueTime(cue.start, ',')} --> ${cueTime(cue.end, ',')}\n${cue.speaker}: ${cue.text}`);
+    return `${cues.join('\n\n')}\n`;
+}
+
+// Times count from the first audio sample when the recording was kept, so the
+// subtitles play along with it; otherwise from the start of the meeting
+function subtitleCues(meeting) {
+    const origin = meeting.audio?.startedAt ?? meeting.startTime;
+    const { transcript } = meeting;
+    return transcript.map((entry, i) => {
+        const start = Math.max(0, entry.timestamp - origin);
+        const end = (entry.endTimestamp ?? transcript[i + 1]?.timestamp ?? entry.timestamp + FALLBACK_CUE_MS) - origin;
+        return {
+            start,
+            end: Math.max(end, start + MIN_CUE_MS),
+            speaker: oneLine(entry.speaker),
+            // A blank line would end the cue early
+            text: entry.text.replace(/\n\s*\n/g, '\n').trim(),
+        };
+    });
+}
+
+// 3723004 → "01:02:03.004" (WebVTT) or "01:02:03,004" (SRT)
+function cueTime(ms, separator) {
+    const total = Math.round(ms);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const h = Math.floor(total / 3600000);
+    const m = Math.floor(total / 60000) % 60;
+    const s = Math.floor(total / 1000) % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(total % 1000, 3)}`;
+}
+
+function escVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ── HTML ───────────────────────────────────────────────────────────────────────
+// One self-contained file: styles inline, nothing loaded from the network
+function toHtml(meeting) {
+    const title = escHtml(meeting.title ?? 'Meeting');
+    const header = meeting.notes
+        ? `<section class="notes">${markdownToHtml(meeting.notes)}</section>`
+        : `<h1>${title}</h1><p class="meta">${escHtml(meetingDate(meeting))}</p>`;
+    const entries = (meeting.transcript ?? []).map(e => `
+    <div class="entry">
+      <div class="entry-head"><span class="speaker">${escHtml(e.speaker)}</span><span class="time">${escHtml(clockTime(e.timestamp))}</span></div>
+      <p>${escHtml(e.text).replace(/\n/g, '<br>')}</p>
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1f2937; background: #fff; line-height: 1.55; margin: 0; }
+  main { max-width: 820px; margin: 0 auto; padding: 40px 24px 64px; }
+  h1 { font-size: 26px; margin: 0 0 8px; }
+  h2 { font-size: 19px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #e5e7eb; }
+  h3 { font-size: 16px; margin: 20px 0 6px; }
+  .meta { color: #6b7280; margin: 0 0 24px; }
+  ul { padding-left: 22px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 14px; }
+  td { border: 1px solid #e5e7eb; padding: 6px 8px; vertical-align: top; }
+  tr:first-child td { font-weight: 600; background: #f9fafb; }
+  .transcript { margin-top: 40px; }
+  .entry { padding: 8px 0; border-bottom: 1px solid #f3f4f6; }
+  .entry-head { display: flex; justify-content: space-between; font-size: 13px; }
+  .speaker { font-weight: 600; color: #4f46e5; }
+  .time { color: #9ca3af; font-variant-numeric: tabular-nums; }
+  .entry p { margin: 2px 0 0; }
+  @media print { main { padding: 0; } .entry { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<main>
+  ${header}
+  <section class="transcript">
+    <h2>Transcript</h2>${entries || '\n    <p class="meta">No transcript.</p>'}
+  </section>
+</main>
+</body>
+</html>
+`;
+}
+
+// ── DOCX ───────────────────────────────────────────────────────────────────────
+function docxBlocks(meeting) {
+    const blocks = meeting.notes
+        ? markdownBlocks(meeting.notes)
+        : [
+            { style: 'Title', runs: [{ text: meeting.title ?? 'Meeting' }] },
+            { style: 'Subtle', runs: [{ text: meetingDate(meeting) }] },
+        ];
+    // The notes start with their own "# Title" — make that the document title
+    if (blocks[0]?.style === 'Heading1') blocks[0] = { ...blocks[0], style: 'Title' };
+
+    blocks.push({ style: 'Heading1', runs: [{ text: 'Transcript' }] });
+    for (const e of meeting.transcript ?? []) {
+        blocks.push({ runs: [{ text: `${clockTime(e.timestamp)}  `, italic: true }, { text: e.speaker, bold: true }, { text: `: ${e.text}` }] });
+    }
+    return blocks;
+}
+
+// ── JSON ───────────────────────────────────────────────────────────────────────
+// The whole record as stored — notesJson, bookmarks, pauses and all. The
+// recording itself is not included, only its metadata.
+function toJson(meeting) {
+    return JSON.stringify({
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        exportedAt: new Date().toISOString(),
+        meeting,
+    }, null, 2);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+// Local date, e.g. "2026-10-19"
+function isoDate(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function meetingDate(meeting) {
+    return new Date(meeting.startTime).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' });
+}
+
+function clockTime(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function oneLine(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function escHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,286 @@
+/**
+ * meetingStore.js — Durable meeting library (IndexedDB)
+ *
+ * Every recording becomes one meeting record:
+ *   { id, title, platform, transcriptSource, startTime, endTime, transcript: [...entries],
+ *     notes, notesJson, notesGeneratedAt, templateId, sync?, audio?, transcribedWith?,
+ *     bookmarks: [{ id, timestamp, label }], pauses: [{ start, end }], transcriptEditedAt?,
+ *     importedFrom?, liveSummary?: { text, throughId, updatedAt } }
+ *
+ * `notes` is the rendered Markdown; `notesJson` the structured notes it was
+ * rendered from (see notesSchema.js).
+ *
+ * When the audio archive is on, the recording is kept in a separate store
+ * ({ meetingId, blob, mimeType, startedAt }) so listing meetings never loads
+ * it; the meeting's `audio` field holds its metadata.
+ *
+ * Action items from the notes are kept as records of their own, across
+ * meetings ({ id, meetingId, meetingTitle, meetingStartTime, owner, task, due,
+ * dueDate, quote, done, doneAt, createdAt }, see actionItems.js), so they can be
+ * ticked off and listed without loading every meeting's transcript.
+ *
+ * Used by background.js. Audio blobs cannot travel in runtime messages, so
+ * offscreen.js writes and reads recordings here directly and the popup reads
+ * them for playback — everything else goes through background.js.
+ * Privacy: IndexedDB lives in the extension's own origin on this device.
+ */
+
+import { itemsFromNotes, sameItem } from './actionItems.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const DB_NAME = 'ivey-meeting-notes';
+const DB_VERSION = 3;
+const MEETINGS = 'meetings';
+const AUDIO = 'audio';
+const ACTION_ITEMS = 'actionItems';
+
+// ── Open / upgrade ─────────────────────────────────────────────────────────────
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(MEETINGS)) {
+                const store = db.createObjectStore(MEETINGS, { keyPath: 'id' });
+                store.createIndex('startTime', 'startTime');
+            }
+            if (!db.objectStoreNames.contains(AUDIO)) {
+                db.createObjectStore(AUDIO, { keyPath: 'meetingId' });
+            }
+            if (!db.objectStoreNames.contains(ACTION_ITEMS)) {
+                const items = db.createObjectStore(ACTION_ITEMS, { keyPath: 'id' });
+                items.createIndex('meetingId', 'meetingId');
+                // Meetings whose notes were generated before action items were kept
+                req.transaction.objectStore(MEETINGS).openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    for (const item of itemsFromNotes(cursor.value)) items.add({ ...item, id: crypto.randomUUID() });
+                    cursor.continue();
+                };
+            }
+        };
+        req.onsuccess = () => {
+            // The service worker, offscreen document and popup each hold a
+            // connection — let go so a newer version can upgrade
+            req.result.onversionchange = () => {
+                req.result.close();
+                dbPromise = null;
+            };
+            resolve(req.result);
+        };
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+    return dbPromise;
+}
+
+// Run one request inside a transaction and resolve once the transaction commits
+async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ── Meetings ───────────────────────────────────────────────────────────────────
+export async function createMeeting({ title, platform = null, transcriptSource = 'whisper', startTime = Date.now() } = {}) {
+    const meeting = {
+        id: crypto.randomUUID(),
+        title: title || `Meeting ${new Date(startTime).toLocaleString()}`,
+        platform,              // platform adapter id: 'teams' | 'meet' | 'zoom' | 'webex'
+        transcriptSource,      // 'whisper' | 'captions' | 'both' | 'import'
+        startTime,
+        endTime: null,
+        transcript: [],
+        notes: '',
+        notesJson: null,
+        notesGeneratedAt: null,
+        templateId: null,      // note template used for the last generated notes
+        bookmarks: [],         // moments the user flagged while recording
+        pauses: [],            // stretches when recording was paused
+    };
+    await withStore(MEETINGS, 'readwrite', store => store.add(meeting));
+    return meeting;
+}
+
+export function getMeeting(id) {
+    return withStore(MEETINGS, 'readonly', store => store.get(id));
+}
+
+/** All meetings, newest first. */
+export async function listMeetings() {
+    const meetings = await withStore(MEETINGS, 'readonly', store => store.index('startTime').getAll());
+    return (meetings || []).reverse();
+}
+
+/**
+ * Read-modify-write a meeting in a single transaction.
+ * `update` is either a patch object or a function (meeting) => newMeeting.
+ * Resolves to the updated record, or null if the meeting does not exist.
+ */
+export async function updateMeeting(id, update) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(MEETINGS, 'readwrite');
+        const store = tx.objectStore(MEETINGS);
+        let updated = null;
+
+        const get = store.get(id);
+        get.onsuccess = () => {
+            if (!get.result) return;
+            updated = typeof update === 'function'
+                ? update(get.result)
+                : { ...get.result, ...update };
+            store.put(updated);
+        };
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/** Next free entry id — ids stay unique even after entries are removed. */
+export function nextEntryId(transcript) {
+    return transcript.reduce((max, e) => Math.max(max, e.id), -1) + 1;
+}
+
+/** Append a transcript entry, assigning it the next free id. */
+export async function appendTranscriptEntry(id, entry) {
+    let added = null;
+    await updateMeeting(id, (meeting) => {
+        added = { ...entry, id: nextEntryId(meeting.transcript) };
+        return { ...meeting, transcript: [...meeting.transcript, added] };
+    });
+    return added;
+}
+
+/** Flag a moment of the meeting; `label` may be empty. Resolves to the bookmark. */
+export async function addBookmark(id, { timestamp, label = '' }) {
+    let added = null;
+    await updateMeeting(id, (meeting) => {
+        const bookmarks = meeting.bookmarks ?? [];
+        added = { id: nextEntryId(bookmarks), timestamp, label: label.trim() };
+        return { ...meeting, bookmarks: [...bookmarks, added] };
+    });
+    return added;
+}
+
+/** Swap in a whole new transcript (e.g. re-transcription), numbering entries from 0. */
+export function replaceTranscript(id, entries, patch = {}) {
+    return updateMeeting(id, meeting => ({
+        ...meeting,
+        ...patch,
+        transcript: entries.map((entry, i) => ({ ...entry, id: i })),
+    }));
+}
+
+export async function deleteMeeting(id) {
+    await withStore(AUDIO, 'readwrite', store => store.delete(id));
+    await replaceActionItems(id, []);
+    return withStore(MEETINGS, 'readwrite', store => store.delete(id));
+}
+
+// ── Audio archive ──────────────────────────────────────────────────────────────
+/** Store a meeting's recording and note its metadata on the meeting record. */
+export async function saveMeetingAudio(meetingId, { blob, startedAt, duration }) {
+    await withStore(AUDIO, 'readwrite', store => store.put({ meetingId, blob, mimeType: blob.type, startedAt }));
+    return updateMeeting(meetingId, {
+        audio: { mimeType: blob.type, size: blob.size, startedAt, duration },
+    });
+}
+
+/** Resolves to { meetingId, blob, mimeType, startedAt }, or undefined. */
+export function getMeetingAudio(meetingId) {
+    return withStore(AUDIO, 'readonly', store => store.get(meetingId));
+}
+
+// ── Action items ───────────────────────────────────────────────────────────────
+/** Every meeting's action items. */
+export async function listActionItems() {
+    return (await withStore(ACTION_ITEMS, 'readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Swap a meeting's action items for `items` (from itemsFromNotes()), e.g. when
+ * its notes are regenerated. Items that were there before keep their id and
+ * done flag. Resolves to the stored items.
+ */
+export async function replaceActionItems(meetingId, items) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ACTION_ITEMS, 'readwrite');
+        const store = tx.objectStore(ACTION_ITEMS);
+        const stored = [];
+
+        const get = store.index('meetingId').getAll(meetingId);
+        get.onsuccess = () => {
+            const previous = get.result;
+            for (const item of items) {
+                const before = previous.find(p => sameItem(p, item) && !stored.some(record => record.id === p.id));
+                const record = before
+                    ? { ...item, id: before.id, done: before.done, doneAt: before.doneAt, createdAt: before.createdAt }
+                    : { ...item, id: crypto.randomUUID() };
+                stored.push(record);
+                store.put(record);
+            }
+            for (const p of previous) {
+                if (!stored.some(record => record.id === p.id)) store.delete(p.id);
+            }
+        };
+
+        tx.oncomplete = () => resolve(stored);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/** Keep a meeting's action items labelled with its title after a rename. */
+export async function retitleActionItems(meetingId, title) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ACTION_ITEMS, 'readwrite');
+        const store = tx.objectStore(ACTION_ITEMS);
+
+        const get = store.index('meetingId').getAll(meetingId);
+        get.onsuccess = () => {
+            for (const item of get.result) store.put({ ...item, meetingTitle: title });
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/** Patch one action item. Resolves to the updated item, or null if it does not exist. */
+export async function updateActionItem(id, patch) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ACTION_ITEMS, 'readwrite');
+        const store = tx.objectStore(ACTION_ITEMS);
+        let updated = null;
+
+        const get = store.get(id);
+        get.onsuccess = () => {
+            if (!get.result) return;
+            updated = { ...get.result, ...patch };
+            store.put(updated);
+        };
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
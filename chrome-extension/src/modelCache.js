@@ -0,0 +1,181 @@
+/**
+ * modelCache.js — The speech models in the browser cache
+ *
+ * transformers.js keeps every downloaded model file in the Cache API under
+ * the file's Hugging Face URL. This module reads and writes that same cache,
+ * so the options page can show what is installed and how big it is, delete
+ * models, download them ahead of a meeting with progress, and import a model
+ * folder from disk. Imported files are stored under the URL they would have
+ * been downloaded from, so they load with remote models switched off.
+ *
+ * Used by the options page, and by vad.js for the Silero model's location.
+ */
+
+import { WHISPER_SIZES, whisperModel } from './settings.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const CACHE_NAME = 'transformers-cache';   // fixed by transformers.js
+const REMOTE_HOST = 'https://huggingface.co';
+const REVISION = 'main';
+
+export const VAD_MODEL = 'onnx-community/silero-vad';
+export const VAD_FILE = 'onnx/model.onnx';
+
+// Files the speech-recognition pipeline loads for a quantized Whisper model
+const WHISPER_FILES = [
+    'config.json',
+    'generation_config.json',
+    'preprocessor_config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    'onnx/encoder_model_quantized.onnx',
+    'onnx/decoder_model_merged_quantized.onnx',
+];
+
+/** Every model the extension can use: { id, label, files }. */
+export const KNOWN_MODELS = [
+    ...Object.entries(WHISPER_SIZES).flatMap(([size, { label }]) => [false, true].map(multilingual => ({
+        id: whisperModel(size, multilingual),
+        label: `Whisper ${label.toLowerCase()}${multilingual ? ' (multilingual)' : ' (English)'}`,
+        files: WHISPER_FILES,
+    }))),
+    { id: VAD_MODEL, label: 'Silero voice detection', files: [VAD_FILE] },
+];
+
+// ── Inspect ────────────────────────────────────────────────────────────────────
+/**
+ * Resolves to [{ id, label, files: [{ file, size }], size, missing: [file] }]:
+ * every known model plus anything else in the cache, installed or not.
+ */
+export async function listCachedModels() {
+    const cached = new Map();   // model id → [{ file, size }]
+    const cache = await caches.open(CACHE_NAME);
+    for (const request of await cache.keys()) {
+        const parsed = parseUrl(request.url);
+        if (!parsed) continue;
+        const size = await responseSize(await cache.match(request));
+        if (!cached.has(parsed.id)) cached.set(parsed.id, []);
+        cached.get(parsed.id).push({ file: parsed.file, size });
+    }
+
+    const models = KNOWN_MODELS.map(({ id, label, files: required }) => {
+        const files = cached.get(id) ?? [];
+        cached.delete(id);
+        return describe(id, label, files, required);
+    });
+    for (const [id, files] of cached) models.push(describe(id, id, files, []));
+    return models;
+}
+
+function describe(id, label, files, required) {
+    const have = new Set(files.map(f => f.file));
+    return {
+        id,
+        label,
+        files,
+        size: files.reduce((sum, f) => sum + f.size, 0),
+        missing: required.filter(file => !have.has(file)),
+    };
+}
+
+// ── Delete ─────────────────────────────────────────────────────────────────────
+export async function deleteModel(id) {
+    const cache = await caches.open(CACHE_NAME);
+    for (const request of await cache.keys()) {
+        if (parseUrl(request.url)?.id === id) await cache.delete(request);
+    }
+}
+
+// ── Download ───────────────────────────────────────────────────────────────────
+/**
+ * Download the files a known model is missing. onProgress({ file, index, count,
+ * loaded, total }) reports the bytes of file `index` of `count`; total is 0 when
+ * the server does not say.
+ */
+export async function downloadModel(id, onProgress = () => { }) {
+    const model = KNOWN_MODELS.find(m => m.id === id);
+    if (!model) throw new Error(`Unknown model: ${id}`);
+
+    const cache = await caches.open(CACHE_NAME);
+    const missing = [];
+    for (const file of model.files) {
+        if (!await cache.match(fileUrl(id, file))) missing.push(file);
+    }
+
+    for (const [index, file] of missing.entries()) {
+        const url = fileUrl(id, file);
+        let res;
+        try {
+            res = await fetch(url);
+        } catch (_) {
+            throw new Error('Could not reach huggingface.co — import the model from a folder instead.');
+        }
+        if (!res.ok) throw new Error(`Download of ${file} failed (HTTP ${res.status}).`);
+
+        const total = Number(res.headers.get('content-length')) || 0;
+        const reader = res.body.getReader();
+        const parts = [];
+        let loaded = 0;
+        for (; ;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            loaded += value.length;
+            onProgress({ file, index, count: missing.length, loaded, total });
+        }
+        await cache.put(url, cachedResponse(new Blob(parts), res.headers.get('content-type')));
+    }
+}
+
+// ── Import ─────────────────────────────────────────────────────────────────────
+/**
+ * Store a model folder picked with <input webkitdirectory> as model `id`.
+ * The folder is laid out like the Hugging Face repository (config.json at its
+ * top, the weights under onnx/). Resolves to the number of files imported;
+ * throws if a file the model needs is not in the folder.
+ */
+export async function importModelFolder(id, fileList) {
+    const files = new Map();
+    for (const file of fileList) {
+        // "whisper-tiny.en/onnx/encoder_model_quantized.onnx" → "onnx/encoder_model_quantized.onnx"
+        const path = file.webkitRelativePath.split('/').slice(1).join('/') || file.name;
+        files.set(path, file);
+    }
+
+    const required = KNOWN_MODELS.find(m => m.id === id)?.files ?? ['config.json'];
+    const missing = required.filter(path => !files.has(path));
+    if (missing.length) throw new Error(`The folder is missing ${missing.join(', ')}.`);
+
+    // Everything transformers.js might ask for, but not the git or README clutter
+    const wanted = [...files].filter(([path]) => /\.(json|onnx|txt)$/.test(path) && !path.startsWith('.'));
+    const cache = await caches.open(CACHE_NAME);
+    for (const [path, file] of wanted) {
+        await cache.put(fileUrl(id, path), cachedResponse(file, file.type));
+    }
+    return wanted.length;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+// The key transformers.js looks the file up by
+function fileUrl(id, file) {
+    return `${REMOTE_HOST}/${id}/resolve/${REVISION}/${file}`;
+}
+
+// transformers.js sizes its read buffer by Content-Length, so it must be the stored size
+function cachedResponse(blob, type) {
+    return new Response(blob, {
+        headers: { 'Content-Type': type || 'application/octet-stream', 'Content-Length': String(blob.size) },
+    });
+}
+
+// "https://huggingface.co/Xenova/whisper-tiny.en/resolve/main/onnx/x.onnx" → { id, file }
+function parseUrl(url) {
+    const match = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/.exec(url);
+    return match && { id: match[1], file: decodeURIComponent(match[2]) };
+}
+
+async function responseSize(response) {
+    const length = Number(response?.headers.get('content-length'));
+    if (length) return length;
+    return response ? (await response.blob()).size : 0;
+}
@@ -0,0 +1,193 @@
+/**
+ * notesSchema.js — Structured meeting notes (JSON) and their Markdown rendering
+ *
+ * The LLM answers with one JSON object matching NOTES_SCHEMA. parseNotes()
+ * tolerates the usual model slips (code fences, a single object where a list
+ * was expected, missing optional keys) and reports what it could not repair,
+ * so the summarizer can ask for a corrected answer. renderNotesMarkdown() turns
+ * the object back into the familiar Markdown layout of the chosen template.
+ */
+
+// ── Schema ─────────────────────────────────────────────────────────────────────
+const str = { type: 'string' };
+const objectOf = (fields) => ({
+    type: 'object',
+    properties: Object.fromEntries(fields.map(f => [f, str])),
+    required: fields,
+});
+
+// Keys of the list fields and the properties of each item; the first property
+// is the one an item cannot do without.
+const LIST_FIELDS = {
+    decisions: ['decision', 'owner'],
+    actionItems: ['task', 'owner', 'due', 'quote'],
+    blockers: ['description', 'raisedBy'],
+    nextSteps: ['step', 'owner', 'due'],
+    sections: ['heading', 'content'],
+};
+
+export const NOTES_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: str,
+        attendees: { type: 'array', items: str },
+        summary: str,
+        highlights: str,
+        ...Object.fromEntries(Object.entries(LIST_FIELDS).map(([key, fields]) =>
+            [key, { type: 'array', items: objectOf(fields) }])),
+    },
+    required: ['title', 'attendees', 'summary', 'highlights', ...Object.keys(LIST_FIELDS)],
+};
+
+/** OpenAI-compatible `response_format` — Ollama, LM Studio and llama.cpp all accept it. */
+export const NOTES_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: { name: 'meeting_notes', schema: NOTES_SCHEMA },
+};
+
+// Example shown to the model in the prompt, with what belongs in each key
+export const NOTES_SHAPE_EXAMPLE = `{
+  "title": "meeting title inferred from content",
+  "attendees": ["unique speaker names"],
+  "summary": "executive summary",
+  "decisions": [{ "decision": "…", "owner": "speaker who proposed/confirmed it" }],
+  "actionItems": [{ "owner": "…", "task": "…", "due": "date or TBD", "quote": "short verbatim quote" }],
+  "blockers": [{ "description": "…", "raisedBy": "…" }],
+  "highlights": "paragraph on the main topics, referencing speakers",
+  "nextSteps": [{ "step": "…", "owner": "…", "due": "date or TBD" }],
+  "sections": [{ "heading": "…", "content": "Markdown" }]
+}`;
+
+// ── Template section → schema field ────────────────────────────────────────────
+// A section can name its field; otherwise the field is inferred from the heading.
+const FIELD_BY_HEADING = [
+    [/summary/i, 'summary'],
+    [/action items/i, 'actionItems'],
+    [/decision/i, 'decisions'],
+    [/blocker|risk/i, 'blockers'],
+    [/next steps/i, 'nextSteps'],
+    [/highlights/i, 'highlights'],
+];
+
+/** Keys a template section can name as its `field`. */
+export const SECTION_FIELDS = [...new Set(FIELD_BY_HEADING.map(([, field]) => field))];
+
+export function fieldForSection(section) {
+    if (section.field) return section.field;
+    return FIELD_BY_HEADING.find(([re]) => re.test(section.heading))?.[1] ?? null;
+}
+
+// ── Parse / repair / validate ──────────────────────────────────────────────────
+/**
+ * Parse model output into notes. Returns { notes, errors }: `notes` is the
+ * repaired object (or null if unusable) and `errors` lists what still needs a retry.
+ */
+export function parseNotes(text) {
+    let raw;
+    try {
+        raw = JSON.parse(extractJsonObject(text));
+    } catch (err) {
+        return { notes: null, errors: [`Not valid JSON (${err.message}).`] };
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { notes: null, errors: ['The answer must be a single JSON object.'] };
+    }
+
+    const notes = {
+        title: asText(raw.title),
+        attendees: asList(raw.attendees).map(asText).filter(Boolean),
+        summary: asText(raw.summary),
+        highlights: asText(raw.highlights),
+    };
+    for (const [key, fields] of Object.entries(LIST_FIELDS)) {
+        notes[key] = asList(raw[key])
+            .map(item => typeof item === 'string' ? { [fields[0]]: item } : item)
+            .filter(item => item && typeof item === 'object')
+            .map(item => Object.fromEntries(fields.map(f => [f, asText(item[f])])))
+            .filter(item => item[fields[0]]);
+    }
+    for (const item of [...notes.actionItems, ...notes.nextSteps]) item.due ||= 'TBD';
+
+    const errors = [];
+    if (!notes.summary) errors.push('"summary" is missing or empty.');
+    return { notes, errors };
+}
+
+// Models like to wrap JSON in ```json fences or add a sentence before it
+function extractJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+}
+
+function asText(v) {
+    if (v == null) return '';
+    if (typeof v === 'string') return v.trim();
+    if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+    return '';
+}
+
+function asList(v) {
+    if (v == null || v === '') return [];
+    return Array.isArray(v) ? v : [v];
+}
+
+// ── Markdown rendering ─────────────────────────────────────────────────────────
+const NONE = 'None noted.';
+
+/** Render notes in the template's section order, with the standard header. */
+export function renderNotesMarkdown(notes, template, meeting) {
+    const lines = [
+        `# ${notes.title || meeting.title}`,
+        '',
+        `**Date:** ${new Date(meeting.startTime).toLocaleDateString()}  `,
+        `**Attendees:** ${notes.attendees.join(', ') || NONE}`,
+    ];
+
+    for (const section of template.sections) {
+        const field = fieldForSection(section);
+        const body = field
+            ? renderField(field, notes)
+            : notes.sections.find(s => sameHeading(s.heading, section.heading))?.content;
+        lines.push('', `## ${section.heading}`, body?.trim() || NONE);
+    }
+    return lines.join('\n');
+}
+
+function renderField(field, notes) {
+    switch (field) {
+        case 'summary':
+        case 'highlights':
+            return notes[field];
+        case 'decisions':
+            return bullets(notes.decisions.map(d => `**${d.decision}**${d.owner ? ` — Owner: ${d.owner}` : ''}`));
+        case 'blockers':
+            return bullets(notes.blockers.map(b => `${b.description}${b.raisedBy ? ` — raised by ${b.raisedBy}` : ''}`));
+        case 'nextSteps':
+            return bullets(notes.nextSteps.map(s => `${s.step} — Owner: ${s.owner || 'TBD'}, By: ${s.due}`));
+        case 'actionItems':
+            if (!notes.actionItems.length) return '';
+            return [
+                '| Owner | Task | Due | Quote |',
+                '| --- | --- | --- | --- |',
+                ...notes.actionItems.map(a =>
+                    `| ${cell(a.owner)} | ${cell(a.task)} | ${cell(a.due)} | ${a.quote ? `"${cell(a.quote)}"` : ''} |`),
+            ].join('\n');
+        default:
+            return '';
+    }
+}
+
+function bullets(items) {
+    return items.map(i => `- ${i}`).join('\n');
+}
+
+// Pipes and newlines would break the Markdown table row
+function cell(text) {
+    return text.replace(/\|/g, '/').replace(/\s*\n\s*/g, ' ');
+}
+
+function sameHeading(a, b) {
+    const norm = s => s.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return norm(a) === norm(b);
+}
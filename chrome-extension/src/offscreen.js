@@ -2,74 +2,141 @@
  * offscreen.js — Audio capture + local Whisper transcription
  *
  * Runs in the offscreen document (hidden page, persistent while recording).
- * Captures the Teams tab audio stream, chunks it every 5 seconds,
- * and transcribes each chunk locally using @xenova/transformers (Whisper).
+ * Captures the meeting tab audio stream with an AudioWorklet (captureWorklet.js),
+ * cuts it into utterances at natural pauses (vad.js), and queues each one
+ * (transcriptionQueue.js) for Whisper, which runs in a Web Worker
+ * (whisperWorker.js) so inference never holds up capture. The queue's backlog
+ * and latency are broadcast for the popup.
+ *
+ * The tab only plays the other participants. When the microphone is enabled
+ * in settings it is captured as a second channel and transcribed separately,
+ * so background.js can label it with the user's own name. The browser's echo
+ * cancellation keeps most of the meeting audio out of the mic; background.js
+ * drops whatever still comes through (see reconcile.js).
+ *
+ * With the audio archive on, the tab and mic are also mixed into an Opus/WebM
+ * recording that is stored with the meeting (meetingStore.js). A saved
+ * recording can later be re-transcribed here with a larger Whisper model.
+ *
+ * While paused, captured audio is thrown away and the archive records
+ * silence, so its timeline still matches the meeting's clock.
+ *
+ * Each utterance is sent with the wall-clock time its first sample was captured
+ * and per-word timestamps, so background.js can attribute the words to
+ * speakers by when they were spoken rather than when inference finished. The
+ * language Whisper heard comes with it.
  *
  * Privacy: Audio is processed entirely in memory. No audio bytes leave this device.
- * The Whisper model (whisper-tiny.en, ~40MB) downloads from HuggingFace once,
- * then is permanently cached in your browser's Cache API.
+ * The Whisper model chosen in settings (whisper-tiny.en, ~40MB, by default)
+ * downloads from HuggingFace once, then is permanently cached in your browser's
+ * Cache API.
  */
 
-import { pipeline, env } from '@xenova/transformers';
+import { env } from '@xenova/transformers/src/env.js';
+import { saveMeetingAudio, getMeetingAudio } from './meetingStore.js';
+import {
+    loadVad, createSegmenter, segmentAudio, flushSegmenter, settledPosition, dropOverlap,
+} from './vad.js';
+import { startQueue, enqueue, drainQueue } from './transcriptionQueue.js';
 
 // ── Configure transformers.js for local/extension use ─────────────────────────
-// Point ONNX WASM runtime at the files we bundled in dist/wasm/
+// Point ONNX WASM runtime at the files we bundled in dist/wasm/ (the VAD runs here;
+// whisperWorker.js is configured the same way when it starts)
 env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('wasm/');
 // Cache the model locally in browser's Cache API (not HuggingFace CDN after first load)
 env.cacheDir = 'transformers-cache';
 env.allowRemoteModels = true;  // needed for first-time model download
 
 // ── State ──────────────────────────────────────────────────────────────────────
-let transcriber = null;
-let mediaStream = null;
+let worker = null;            // whisperWorker.js, started on first use
+let nextRequestId = 0;
+const pendingRequests = new Map();   // request id → { resolve, reject }
 let audioContext = null;
-let recorder = null;
-let audioChunks = [];
+let clockStart = null;        // wall-clock ms of audioContext frame 0
+let channels = [];            // [{ name: 'tab' | 'mic', stream, source, pcmChunks, startedAt, segmenter, ready, lastWords }]
 let isCapturing = false;
-let chunkTimer = null;
+let isPaused = false;
+let transcribeLive = true;    // false when capturing for the archive only
+let processTimer = null;
+let processing = null;        // Promise of the segment/transcribe pass in progress
+let vadReady = null;          // Promise of the Silero session, or null for the energy fallback
+let archive = null;           // { recorder, destination, chunks, startedAt, meetingId } while archiving
+let liveModel = null;         // Whisper model id, set by startCapture
+let liveOptions = { language: 'english', task: 'transcribe' };   // Whisper language/task
 
-const CHUNK_INTERVAL_MS = 5000;  // process audio every 5 seconds
+const PROCESS_INTERVAL_MS = 500;  // feed captured audio to the VAD this often
 const SAMPLE_RATE = 16000; // Whisper expects 16kHz
+const DEFAULT_MODEL = 'Xenova/whisper-tiny.en';
+const ARCHIVE_SLICE_MS = 10000;            // MediaRecorder hands over data this often
+const RETRANSCRIBE_WINDOW_S = 5 * 60;      // audio per pipeline call, for progress reports
+const CHUNK_LENGTH_S = 30;                 // Whisper's window when re-transcribing...
+const STRIDE_LENGTH_S = 5;                 // ...and the overlap on each side of it
 
-// ── Load Whisper model ─────────────────────────────────────────────────────────
-async function loadWhisper() {
-    if (transcriber) return transcriber;
+// ── Whisper worker ─────────────────────────────────────────────────────────────
+// Send a request to whisperWorker.js; resolves to its answer or rejects with its error
+function whisper(type, data = {}, transfer = []) {
+    worker ??= startWorker();
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        worker.postMessage({ id, type, ...data }, transfer);
+    });
+}
 
-    console.log('[offscreen] Loading Whisper model (whisper-tiny.en)...');
-    console.log('[offscreen] First load downloads ~40MB from HuggingFace, then caches locally.');
+function startWorker() {
+    const w = new Worker(chrome.runtime.getURL('whisperWorker.js'), { type: 'module' });
+    w.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+            chrome.runtime.sendMessage({ action: 'modelLoadProgress', progress: data.progress, file: data.file })
+                .catch(() => { });
+            return;
+        }
+        const pending = pendingRequests.get(data.id);
+        if (!pending) return;
+        pendingRequests.delete(data.id);
+        if (data.ok) pending.resolve(data);
+        else pending.reject(new Error(data.error));
+    };
+    w.onerror = (e) => {
+        console.error('[offscreen] Whisper worker failed:', e.message);
+        for (const { reject } of pendingRequests.values()) reject(new Error(e.message || 'Whisper worker failed'));
+        pendingRequests.clear();
+        w.terminate();
+        if (worker === w) worker = null;
+    };
+    // Requests are handled in order, so this lands before anything loads a model
+    w.postMessage({ id: nextRequestId++, type: 'configure', wasmPaths: chrome.runtime.getURL('wasm/') });
+    return w;
+}
 
-    try {
-        transcriber = await pipeline(
-            'automatic-speech-recognition',
-            'Xenova/whisper-tiny.en',
-            {
-                progress_callback: (progress) => {
-                    if (progress.status === 'downloading') {
-                        const pct = Math.round((progress.loaded / progress.total) * 100);
-                        chrome.runtime.sendMessage({
-                            action: 'modelLoadProgress',
-                            progress: pct,
-                            file: progress.file,
-                        }).catch(() => { });
-                    }
-                },
-            }
-        );
-        console.log('[offscreen] Whisper model loaded.');
-        return transcriber;
-    } catch (err) {
-        console.error('[offscreen] Failed to load Whisper model:', err);
-        throw err;
-    }
+// Whether models missing from the cache may be fetched from HuggingFace
+function allowModelDownloads(allowed) {
+    env.allowRemoteModels = allowed;   // for the VAD model, loaded here
+    return whisper('configure', { allowRemoteModels: allowed });
+}
+
+function loadWhisper() {
+    console.log(`[offscreen] Loading Whisper model (${liveModel})...`);
+    return whisper('load', { model: liveModel })
+        .then(() => console.log('[offscreen] Whisper model loaded.'));
 }
 
 // ── Start audio capture ────────────────────────────────────────────────────────
-async function startCapture(streamId) {
+// `transcribe` is false in captions-only mode, when audio is captured for the archive alone.
+// `whisperOptions` is Whisper's { language, task }.
+async function startCapture(streamId, {
+    meetingId, microphone = false, archiveAudio = false, transcribe = true,
+    model = DEFAULT_MODEL, whisperOptions = { language: 'english', task: 'transcribe' },
+    modelDownloads = true,
+} = {}) {
     if (isCapturing) return;
+    transcribeLive = transcribe;
+    liveModel = model;
+    liveOptions = whisperOptions;
 
     try {
         // Get the tab audio stream using the stream ID from background
-        mediaStream = await navigator.mediaDevices.getUserMedia({
+        const tabStream = await navigator.mediaDevices.getUserMedia({
             audio: {
                 mandatory: {
                     chromeMediaSource: 'tab',
@@ -81,49 +148,32 @@ async function startCapture(streamId) {
 
         // Create audio context for resampling
         audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
-        const source = audioContext.createMediaStreamSource(mediaStream);
+        clockStart = null;
+        if (transcribe) await audioContext.audioWorklet.addModule(chrome.runtime.getURL('captureWorklet.js'));
+        channels = [openChannel('tab', tabStream)];
 
-        // Use a ScriptProcessor to collect PCM samples
-        const bufferSize = 4096;
-        const processor = audioContext.createScriptProcessor(bufferSize, 1, 1);
-        const pcmChunks = [];
+        if (microphone) {
+            const micStream = await openMicrophone();
+            if (micStream) channels.push(openChannel('mic', micStream));
+        }
 
-        processor.onaudioprocess = (e) => {
-            if (!isCapturing) return;
-            // Copy PCM float32 data
-            pcmChunks.push(new Float32Array(e.inputBuffer.getChannelData(0)));
-        };
+        isCapturing = true;
+        console.log(`[offscreen] Audio capture started (${channels.map(c => c.name).join(' + ')}).`);
+        if (archiveAudio) startArchive(meetingId);
+        if (!transcribe) return;
 
-        source.connect(processor);
-        processor.connect(audioContext.destination);
+        startQueue({ run: runJob, deliver: deliverJob, onStats: reportStats });
+        // Pre-load Whisper and the VAD while the first utterance is collecting
+        allowModelDownloads(modelDownloads).then(loadWhisper).catch((err) => {
+            console.error('[offscreen] Failed to load Whisper model:', err);
+            chrome.runtime.sendMessage({ action: 'captureError', error: err.message }).catch(() => { });
+        });
+        vadReady = loadVad().catch((err) => {
+            console.warn('[offscreen] Silero VAD unavailable, segmenting by energy:', err);
+            return null;
+        });
 
-        isCapturing = true;
-        console.log('[offscreen] Audio capture started.');
-
-        // Pre-load Whisper while first audio chunk is collecting
-        loadWhisper().catch(console.error);
-
-        // Process chunks every CHUNK_INTERVAL_MS
-        chunkTimer = setInterval(async () => {
-            if (!isCapturing || pcmChunks.length === 0) return;
-
-            // Drain current samples
-            const samples = mergeFloat32Arrays(pcmChunks.splice(0, pcmChunks.length));
-
-            // Skip silent/very short chunks
-            if (samples.length < SAMPLE_RATE) return;    // < 1 second
-            if (isVirtuallySilent(samples)) return;
-
-            // Transcribe locally
-            const text = await transcribeChunk(samples);
-            if (text?.trim()) {
-                chrome.runtime.sendMessage({
-                    action: 'transcriptChunk',
-                    text: text.trim(),
-                    timestamp: Date.now(),
-                }).catch(() => { });
-            }
-        }, CHUNK_INTERVAL_MS);
+        processTimer = setInterval(() => { if (isCapturing) processChannels(); }, PROCESS_INTERVAL_MS);
 
     } catch (err) {
         console.error('[offscreen] startCapture error:', err);
@@ -131,30 +181,271 @@ async function startCapture(streamId) {
     }
 }
 
+// The mic permission is granted on the options page — an offscreen document
+// cannot prompt. Recording carries on with the tab alone if it is missing.
+async function openMicrophone() {
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+            video: false,
+        });
+    } catch (err) {
+        console.warn('[offscreen] Microphone unavailable:', err);
+        chrome.runtime.sendMessage({
+            action: 'captureError',
+            error: `microphone unavailable (${err.message}) — recording meeting audio only`,
+        }).catch(() => { });
+        return null;
+    }
+}
+
+// The capture worklet hands over PCM blocks tagged with their context frame
+function openChannel(name, stream) {
+    const source = audioContext.createMediaStreamSource(stream);
+    const channel = {
+        name, stream, source,
+        pcmChunks: [],
+        startedAt: null,     // wall-clock ms of the first captured sample
+        segmenter: null,     // vad.js state, once the VAD has loaded
+        ready: [],           // finished utterances waiting to be transcribed
+        lastWords: null,     // words of the last utterance sent, for dropOverlap()
+    };
+    if (!transcribeLive) return channel;
+
+    const capture = new AudioWorkletNode(audioContext, 'pcm-capture');
+    capture.port.onmessage = ({ data: { samples, frame } }) => {
+        if (!isCapturing || isPaused) return;
+        // A block arrives once it is full, so its last sample is about now
+        clockStart ??= Date.now() - ((frame + samples.length) / SAMPLE_RATE) * 1000;
+        channel.startedAt ??= clockStart + (frame / SAMPLE_RATE) * 1000;
+        channel.pcmChunks.push(samples);
+    };
+
+    source.connect(capture);
+    // Outputs silence; being connected keeps the worklet running
+    capture.connect(audioContext.destination);
+    return channel;
+}
+
+// ── Segment and queue ──────────────────────────────────────────────────────────
+// One pass at a time. Tab utterances are queued before mic ones, and a mic
+// utterance waits until the tab audio of the same moment has been queued, so
+// background.js already knows what the meeting played when it checks for echo.
+function processChannels({ final = false } = {}) {
+    processing ??= (async () => {
+        for (const channel of channels) await segmentChannel(channel, final);
+
+        const tab = channels.find(c => c.name === 'tab');
+        for (const channel of channels) {
+            const until = channel.name === 'mic' && !final ? settledUntil(tab) : Infinity;
+            while (channel.ready.length && channel.ready[0].endTime <= until) {
+                enqueue({ channel: channel.name, ...channel.ready.shift() });
+            }
+        }
+    })().finally(() => { processing = null; });
+    return processing;
+}
+
+async function segmentChannel(channel, final) {
+    const samples = mergeFloat32Arrays(channel.pcmChunks.splice(0, channel.pcmChunks.length));
+    channel.segmenter ??= createSegmenter(await vadReady);
+
+    const utterances = samples.length ? await segmentAudio(channel.segmenter, samples) : [];
+    const last = final && flushSegmenter(channel.segmenter);
+    if (last) utterances.push(last);
+
+    for (const u of utterances) {
+        channel.ready.push({ samples: u.samples, startTime: wallClock(channel, u.start), endTime: wallClock(channel, u.end) });
+    }
+}
+
+// Wall-clock ms up to which the channel has sent everything it heard
+function settledUntil(channel) {
+    return channel?.segmenter ? wallClock(channel, settledPosition(channel.segmenter)) : -Infinity;
+}
+
+function wallClock(channel, sampleOffset) {
+    return channel.startedAt + (sampleOffset / SAMPLE_RATE) * 1000;
+}
+
+// ── Queue jobs ─────────────────────────────────────────────────────────────────
+// Utterances are at most ~20 s (merged ones ~28 s), inside Whisper's 30 s window
+function runJob(job) {
+    return whisper('transcribe', {
+        model: liveModel,
+        samples: job.samples,
+        options: liveOptions,
+    }, [job.samples.buffer]);
+}
+
+async function deliverJob(job, result) {
+    const channel = channels.find(c => c.name === job.channel);
+    const words = dropOverlap(channel?.lastWords, absoluteWords(result.chunks, job.startTime, job.endTime));
+    const text = result.chunks.length ? words.map(w => w.text).join('').trim() : result.text.trim();
+    if (words.length && channel) channel.lastWords = words;
+    if (!text) return;
+
+    // Waiting for background.js keeps entries complete by the time a stop is answered
+    await chrome.runtime.sendMessage({
+        action: 'transcriptChunk',
+        channel: job.channel,
+        text,
+        timestamp: job.startTime,
+        endTimestamp: job.endTime,
+        words,
+        timing: result.timing,   // 'word' or 'segment' timestamps
+        language: result.languages[0] ?? knownLanguage(liveOptions),
+    }).catch(() => { });
+}
+
+function reportStats(stats) {
+    chrome.runtime.sendMessage({ action: 'transcriptionStats', stats }).catch(() => { });
+}
+
+// ── Audio archive ──────────────────────────────────────────────────────────────
+// Mix every channel into one Opus/WebM recording
+function startArchive(meetingId) {
+    const destination = audioContext.createMediaStreamDestination();
+    for (const channel of channels) channel.source.connect(destination);
+
+    const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') ? 'audio/webm;codecs=opus' : 'audio/webm';
+    const recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: 32000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.start(ARCHIVE_SLICE_MS);
+    archive = { recorder, destination, chunks, startedAt: Date.now(), meetingId };
+}
+
+async function stopArchive() {
+    if (!archive) return;
+    const { recorder, chunks, startedAt, meetingId } = archive;
+    archive = null;
+
+    await new Promise((resolve) => {
+        recorder.onstop = resolve;
+        recorder.stop();
+    });
+    const blob = new Blob(chunks, { type: recorder.mimeType });
+    if (!blob.size) return;
+    try {
+        await saveMeetingAudio(meetingId, { blob, startedAt, duration: Date.now() - startedAt });
+    } catch (err) {
+        console.error('[offscreen] Could not save the recording:', err);
+    }
+}
+
+// ── Pause / resume ─────────────────────────────────────────────────────────────
+async function pauseCapture() {
+    if (!isCapturing || isPaused) return;
+    isPaused = true;
+    if (archive) channels.forEach(c => c.source.disconnect(archive.destination));
+    // Transcribe what was said up to the pause
+    if (transcribeLive) {
+        await processing;
+        await processChannels({ final: true });
+    }
+}
+
+async function resumeCapture() {
+    if (!isCapturing || !isPaused) return;
+    await processing;   // the pass flushing the pause
+    // Sample offsets restart with the next captured block
+    for (const channel of channels) {
+        channel.startedAt = null;
+        channel.segmenter = null;
+        channel.pcmChunks = [];
+        if (archive) channel.source.connect(archive.destination);
+    }
+    isPaused = false;
+}
+
 // ── Stop capture ───────────────────────────────────────────────────────────────
-function stopCapture() {
+async function stopCapture() {
     isCapturing = false;
-    if (chunkTimer) { clearInterval(chunkTimer); chunkTimer = null; }
-    if (mediaStream) { mediaStream.getTracks().forEach(t => t.stop()); mediaStream = null; }
+    isPaused = false;
+    if (processTimer) { clearInterval(processTimer); processTimer = null; }
+    // Transcribe what was said up to the stop
+    if (transcribeLive) {
+        await processing;
+        await processChannels({ final: true });
+        await drainQueue();
+    }
+    // The recorder needs the tracks alive to hand over its last data
+    await stopArchive();
+    for (const channel of channels) channel.stream.getTracks().forEach(t => t.stop());
+    channels = [];
     if (audioContext) { audioContext.close(); audioContext = null; }
     console.log('[offscreen] Capture stopped.');
 }
 
-// ── Transcribe a Float32Array chunk with Whisper ───────────────────────────────
-async function transcribeChunk(samples) {
-    try {
-        const tw = await loadWhisper();
-        const result = await tw(samples, {
-            language: 'english',
-            task: 'transcribe',
-            chunk_length_s: 5,
-            stride_length_s: 1,
-            return_timestamps: false,
+// ── Whisper results ────────────────────────────────────────────────────────────
+// Chunk-relative seconds → wall-clock ms; Whisper leaves the last end open at times
+function absoluteWords(chunks, chunkStart, chunkEnd) {
+    return chunks
+        .filter(c => c.text?.trim())
+        .map(c => {
+            const [start, end] = c.timestamp ?? [];
+            const startMs = start == null ? chunkStart : Math.min(chunkEnd, chunkStart + start * 1000);
+            const endMs = end == null ? chunkEnd : Math.min(chunkEnd, chunkStart + end * 1000);
+            return { text: c.text, start: startMs, end: Math.max(startMs, endMs) };
         });
-        return result?.text ?? '';
+}
+
+// English-only models write no language token, so there is nothing to detect
+function knownLanguage({ language }) {
+    return language === 'english' ? 'en' : language;
+}
+
+// ── Re-transcribe a saved recording ────────────────────────────────────────────
+// Runs the whole recording through a larger model. Resolves to
+// { ok, words: [{ text, start, end, language }] (wall-clock ms), timing } or { ok: false, error }.
+async function retranscribe(meetingId, model, whisperOptions, modelDownloads = true) {
+    const record = await getMeetingAudio(meetingId);
+    if (!record) return { ok: false, error: 'No recording was saved for this meeting.' };
+
+    try {
+        await allowModelDownloads(modelDownloads);
+        // decodeAudioData resamples to the context's rate
+        const decoder = new AudioContext({ sampleRate: SAMPLE_RATE });
+        const buffer = await decoder.decodeAudioData(await record.blob.arrayBuffer());
+        decoder.close();
+        const samples = buffer.getChannelData(0);
+
+        const windowSize = RETRANSCRIBE_WINDOW_S * SAMPLE_RATE;
+        const words = [];
+        let timing = 'word';
+        for (let offset = 0; offset < samples.length; offset += windowSize) {
+            const slice = samples.subarray(offset, offset + windowSize);
+            const sliceStart = record.startedAt + (offset / SAMPLE_RATE) * 1000;
+            const sliceEnd = sliceStart + (slice.length / SAMPLE_RATE) * 1000;
+            if (slice.length >= SAMPLE_RATE && !isVirtuallySilent(slice)) {
+                // A copy, as the worker takes over the buffer it is sent
+                const copy = slice.slice();
+                const result = await whisper('transcribe', {
+                    model,
+                    samples: copy,
+                    options: { ...whisperOptions, chunk_length_s: CHUNK_LENGTH_S, stride_length_s: STRIDE_LENGTH_S },
+                }, [copy.buffer]);
+                if (result.timing === 'segment') timing = 'segment';
+                // Whisper decoded the slice in windows that start every CHUNK_LENGTH_S − 2 × STRIDE_LENGTH_S
+                const step = (CHUNK_LENGTH_S - 2 * STRIDE_LENGTH_S) * 1000;
+                for (const word of absoluteWords(result.chunks, sliceStart, sliceEnd)) {
+                    const index = Math.min(result.languages.length - 1, Math.floor((word.start - sliceStart) / step));
+                    words.push({ ...word, language: result.languages[index] ?? knownLanguage(whisperOptions) });
+                }
+            }
+            chrome.runtime.sendMessage({
+                action: 'retranscribeProgress',
+                meetingId,
+                progress: Math.round(Math.min(1, (offset + windowSize) / samples.length) * 100),
+            }).catch(() => { });
+        }
+        return { ok: true, words, timing };
     } catch (err) {
-        console.warn('[offscreen] Transcription error:', err);
-        return '';
+        console.error('[offscreen] Re-transcription failed:', err);
+        return { ok: false, error: err.message };
+    } finally {
+        await whisper('dispose', { model }).catch(() => { });
     }
 }
 
@@ -176,11 +467,23 @@ function isVirtuallySilent(samples, threshold = 0.003) {
 // ── Message handler ────────────────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.action === 'startCapture') {
-        startCapture(msg.streamId).then(() => sendResponse({ ok: true }));
+        startCapture(msg.streamId, msg).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+    if (msg.action === 'pauseCapture') {
+        pauseCapture().then(() => sendResponse({ ok: true }));
+        return true;
+    }
+    if (msg.action === 'resumeCapture') {
+        resumeCapture().then(() => sendResponse({ ok: true }));
         return true;
     }
     if (msg.action === 'stopCapture') {
-        stopCapture();
-        sendResponse({ ok: true });
+        stopCapture().then(() => sendResponse({ ok: true }));
+        return true;
+    }
+    if (msg.action === 'retranscribe') {
+        retranscribe(msg.meetingId, msg.model, msg.whisperOptions, msg.modelDownloads).then(sendResponse);
+        return true;
     }
 });
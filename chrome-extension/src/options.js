@@ -0,0 +1,578 @@
+/**
+ * options.js — Settings page controller
+ *
+ * Loads and saves the sections in settings.js. Loopback endpoints are covered by
+ * the manifest's host_permissions; any other host is requested as an optional
+ * host permission from inside the click handler (chrome.permissions.request
+ * only works during a user gesture).
+ *
+ * The Meetily sync card saves with the rest of the form; "Test connection"
+ * checks the backend without saving. Turning on the microphone asks for mic
+ * access here, since the offscreen document that records cannot prompt.
+ *
+ * Also hosts the note-template editor (templates.js), the speech model manager
+ * (modelCache.js) and the speaker-detection tools (selector pack import, DOM
+ * diagnostics). These act immediately, independently of the settings form.
+ */
+
+import {
+    getSettings, saveSettings, LLM_PROVIDERS, WHISPER_SIZES, WHISPER_LANGUAGES, normalizeBaseUrl, isLoopback,
+    hostPattern,
+} from './settings.js';
+import { listModels } from './llm.js';
+import { testBackend } from './sync.js';
+import { KNOWN_MODELS, listCachedModels, deleteModel, downloadModel, importModelFolder } from './modelCache.js';
+import { MEETING_URL_PATTERNS } from './platforms/index.js';
+import {
+    listSelectorPacks, parseSelectorPacks, importSelectorPacks, removeImportedPack,
+} from './platforms/selectorPacks.js';
+import {
+    getTemplates, saveUserTemplate, deleteUserTemplate, sectionsToText, textToSections,
+} from './templates.js';
+import { SECTION_FIELDS } from './notesSchema.js';
+
+// ── DOM refs ───────────────────────────────────────────────────────────────────
+const llmProvider = document.getElementById('llmProvider');
+const llmBaseUrl = document.getElementById('llmBaseUrl');
+const llmModel = document.getElementById('llmModel');
+const llmModelList = document.getElementById('llmModelList');
+const btnDiscover = document.getElementById('btnDiscover');
+const llmTemperature = document.getElementById('llmTemperature');
+const llmMaxTokens = document.getElementById('llmMaxTokens');
+const llmContextWindow = document.getElementById('llmContextWindow');
+const liveSummaryMinutes = document.getElementById('liveSummaryMinutes');
+const modelSize = document.getElementById('modelSize');
+const multilingual = document.getElementById('multilingual');
+const language = document.getElementById('language');
+const task = document.getElementById('task');
+const micEnabled = document.getElementById('micEnabled');
+const archiveAudio = document.getElementById('archiveAudio');
+const retranscribeSize = document.getElementById('retranscribeSize');
+const btnRefreshModels = document.getElementById('btnRefreshModels');
+const modelDownloads = document.getElementById('modelDownloads');
+const modelList = document.getElementById('modelList');
+const importModelId = document.getElementById('importModelId');
+const btnImportModel = document.getElementById('btnImportModel');
+const modelFolderInput = document.getElementById('importModelFolder');
+const syncEnabled = document.getElementById('syncEnabled');
+const syncBackendUrl = document.getElementById('syncBackendUrl');
+const btnTestSync = document.getElementById('btnTestSync');
+const btnSave = document.getElementById('btnSave');
+const saveStatus = document.getElementById('saveStatus');
+const templateList = document.getElementById('templateList');
+const btnNewTemplate = document.getElementById('btnNewTemplate');
+const templateEditor = document.getElementById('templateEditor');
+const tplName = document.getElementById('tplName');
+const tplDescription = document.getElementById('tplDescription');
+const tplPrompt = document.getElementById('tplPrompt');
+const tplSections = document.getElementById('tplSections');
+const tplRules = document.getElementById('tplRules');
+const btnSaveTemplate = document.getElementById('btnSaveTemplate');
+const btnCancelTemplate = document.getElementById('btnCancelTemplate');
+const btnImportPack = document.getElementById('btnImportPack');
+const packFile = document.getElementById('packFile');
+const packList = document.getElementById('packList');
+const btnDiagnostics = document.getElementById('btnDiagnostics');
+const diagnostics = document.getElementById('diagnostics');
+const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+const btnDownloadDiagnostics = document.getElementById('btnDownloadDiagnostics');
+
+let editingTemplateId = null;  // null = creating a new template
+const downloading = new Set();  // model ids being downloaded
+let diagnosticsReport = null;
+
+// ── Initialise ─────────────────────────────────────────────────────────────────
+async function init() {
+    for (const [id, { label }] of Object.entries(LLM_PROVIDERS)) {
+        llmProvider.appendChild(Object.assign(document.createElement('option'), { value: id, textContent: label }));
+    }
+
+    for (const [size, { label, download }] of Object.entries(WHISPER_SIZES)) {
+        const textContent = `Whisper ${label.toLowerCase()} (${download} download)`;
+        modelSize.appendChild(Object.assign(document.createElement('option'), { value: size, textContent }));
+        // Re-transcribing with the live model would gain nothing
+        if (size !== 'tiny') {
+            retranscribeSize.appendChild(Object.assign(document.createElement('option'), { value: size, textContent }));
+        }
+    }
+    for (const { id, label } of KNOWN_MODELS) {
+        importModelId.appendChild(Object.assign(document.createElement('option'), { value: id, textContent: label }));
+    }
+    for (const [code, name] of Object.entries(WHISPER_LANGUAGES)) {
+        language.appendChild(Object.assign(document.createElement('option'), { value: code, textContent: name }));
+    }
+
+    const { llm, notes, transcription, sync } = await getSettings();
+    llmProvider.value = llm.provider;
+    llmBaseUrl.value = llm.baseUrl;
+    llmModel.value = llm.model;
+    llmTemperature.value = llm.temperature;
+    llmMaxTokens.value = llm.maxTokens;
+    llmContextWindow.value = llm.contextWindow;
+    liveSummaryMinutes.value = notes.liveSummaryMinutes;
+    modelSize.value = transcription.modelSize;
+    multilingual.checked = transcription.multilingual;
+    language.value = transcription.language;
+    task.value = transcription.task;
+    updateLanguageFields();
+    micEnabled.checked = transcription.microphone;
+    archiveAudio.checked = transcription.archiveAudio;
+    retranscribeSize.value = transcription.retranscribeSize;
+    modelDownloads.checked = transcription.modelDownloads;
+    syncEnabled.checked = sync.enabled;
+    syncBackendUrl.value = sync.backendUrl;
+
+    await renderTemplates();
+    await renderSelectorPacks();
+    await renderModels();
+}
+
+// Picking a provider fills in its usual local endpoint
+llmProvider.addEventListener('change', () => {
+    llmBaseUrl.value = LLM_PROVIDERS[llmProvider.value].baseUrl;
+    llmModelList.innerHTML = '';
+});
+
+// ── Model discovery ────────────────────────────────────────────────────────────
+btnDiscover.addEventListener('click', async () => {
+    const baseUrl = readBaseUrl();
+    if (!baseUrl) return;
+    const granted = await requestHost(baseUrl);
+    if (!granted) return showStatus(`Permission to contact ${new URL(baseUrl).host} was not granted.`, 'error');
+
+    btnDiscover.disabled = true;
+    showStatus('Looking for models…');
+    try {
+        const models = await listModels(baseUrl);
+        llmModelList.innerHTML = '';
+        for (const name of models) {
+            llmModelList.appendChild(Object.assign(document.createElement('option'), { value: name }));
+        }
+        if (models.length && !models.includes(llmModel.value)) llmModel.value = models[0];
+        showStatus(models.length ? `Found ${models.length} models.` : 'Server is running but has no models installed.',
+            models.length ? 'ok' : 'error');
+    } catch (err) {
+        showStatus(`Could not list models at ${baseUrl}: ${err.message}`, 'error');
+    } finally {
+        btnDiscover.disabled = false;
+    }
+});
+
+// ── Save ───────────────────────────────────────────────────────────────────────
+btnSave.addEventListener('click', async () => {
+    const baseUrl = readBaseUrl();
+    const backendUrl = readBackendUrl();
+    if (!baseUrl || !backendUrl) return;
+    const granted = await requestHost(baseUrl, ...(syncEnabled.checked ? [backendUrl] : []));
+    if (!granted) return showStatus('Permission to contact the configured servers was not granted.', 'error');
+
+    const llm = {
+        provider: llmProvider.value,
+        baseUrl,
+        model: llmModel.value.trim(),
+        temperature: Number(llmTemperature.value),
+        maxTokens: Math.round(Number(llmMaxTokens.value)),
+        contextWindow: Math.round(Number(llmContextWindow.value)),
+    };
+
+    if (!llm.model) return showStatus('Enter a model name.', 'error');
+    if (!(llm.temperature >= 0 && llm.temperature <= 2)) return showStatus('Temperature must be between 0 and 2.', 'error');
+    if (!(llm.maxTokens > 0 && llm.maxTokens < llm.contextWindow)) {
+        return showStatus('Max tokens must be positive and smaller than the context window.', 'error');
+    }
+    const liveMinutes = Number(liveSummaryMinutes.value);
+    if (!(Number.isInteger(liveMinutes) && liveMinutes >= 0 && liveMinutes <= 30)) {
+        return showStatus('Live summary interval must be a whole number of minutes from 0 to 30.', 'error');
+    }
+
+    await saveSettings({
+        llm,
+        notes: { liveSummaryMinutes: liveMinutes },
+        transcription: {
+            modelSize: modelSize.value,
+            multilingual: multilingual.checked,
+            language: language.value,
+            task: task.value,
+            microphone: micEnabled.checked,
+            archiveAudio: archiveAudio.checked,
+            retranscribeSize: retranscribeSize.value,
+            modelDownloads: modelDownloads.checked,
+        },
+        sync: { enabled: syncEnabled.checked, backendUrl },
+    });
+    showStatus('Saved.', 'ok');
+});
+
+// ── Whisper model ──────────────────────────────────────────────────────────────
+// English-only models can neither detect a language nor translate
+multilingual.addEventListener('change', updateLanguageFields);
+
+function updateLanguageFields() {
+    language.disabled = !multilingual.checked;
+    task.disabled = !multilingual.checked;
+}
+
+// ── Speech models ──────────────────────────────────────────────────────────────
+async function renderModels() {
+    const models = await listCachedModels();
+    modelList.innerHTML = '';
+    for (const m of models) {
+        const row = document.createElement('div');
+        row.className = 'pack-row';
+        row.innerHTML = `
+      <div class="pack-main">
+        <div class="pack-name"></div>
+        <div class="pack-meta"></div>
+      </div>
+    `;
+        row.querySelector('.pack-name').textContent = m.label;
+        const meta = row.querySelector('.pack-meta');
+        meta.textContent = modelDescription(m);
+
+        const known = KNOWN_MODELS.some(k => k.id === m.id);
+        if (known && m.missing.length) {
+            const fetchButton = Object.assign(document.createElement('button'), {
+                className: 'btn btn-secondary btn-small', type: 'button', textContent: 'Download',
+                disabled: downloading.has(m.id),
+            });
+            fetchButton.addEventListener('click', () => fetchModel(m, fetchButton, meta));
+            row.appendChild(fetchButton);
+        }
+        if (m.files.length) {
+            const remove = Object.assign(document.createElement('button'), {
+                className: 'btn btn-secondary btn-small', type: 'button', textContent: 'Delete',
+            });
+            remove.addEventListener('click', async () => {
+                if (!confirm(`Delete ${m.label} (${formatBytes(m.size)}) from this browser?`)) return;
+                await deleteModel(m.id);
+                renderModels();
+                showStatus(`${m.label} deleted.`, 'ok');
+            });
+            row.appendChild(remove);
+        }
+        modelList.appendChild(row);
+    }
+}
+
+function modelDescription(m) {
+    // Models found only in the cache are labelled with their id already
+    const id = m.label === m.id ? '' : `${m.id} · `;
+    if (!m.files.length) return `${id}not installed`;
+    if (m.missing.length) return `${id}incomplete, ${m.missing.length} of its files missing · ${formatBytes(m.size)}`;
+    return `${id}installed · ${formatBytes(m.size)}`;
+}
+
+async function fetchModel(m, button, meta) {
+    downloading.add(m.id);
+    button.disabled = true;
+    try {
+        await downloadModel(m.id, ({ file, index, count, loaded, total }) => {
+            const amount = total ? `${Math.round((loaded / total) * 100)}%` : formatBytes(loaded);
+            meta.textContent = `Downloading file ${index + 1}/${count} (${file.split('/').pop()})… ${amount}`;
+        });
+        showStatus(`${m.label} downloaded.`, 'ok');
+    } catch (err) {
+        showStatus(err.message, 'error');
+    } finally {
+        downloading.delete(m.id);
+        renderModels();
+    }
+}
+
+btnRefreshModels.addEventListener('click', renderModels);
+
+btnImportModel.addEventListener('click', () => modelFolderInput.click());
+
+modelFolderInput.addEventListener('change', async () => {
+    const files = [...modelFolderInput.files];
+    modelFolderInput.value = '';
+    if (!files.length) return;
+
+    const label = importModelId.selectedOptions[0].textContent;
+    btnImportModel.disabled = true;
+    showStatus(`Importing ${label}…`);
+    try {
+        const count = await importModelFolder(importModelId.value, files);
+        showStatus(`Imported ${label} (${count} files).`, 'ok');
+    } catch (err) {
+        showStatus(`Could not import ${label}: ${err.message}`, 'error');
+    } finally {
+        btnImportModel.disabled = false;
+        renderModels();
+    }
+});
+
+// ── Microphone ─────────────────────────────────────────────────────────────────
+// The grant belongs to the extension's origin, so the offscreen document can use it later
+micEnabled.addEventListener('change', async () => {
+    if (!micEnabled.checked) return;
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(t => t.stop());
+        showStatus('Microphone access granted — save to apply.', 'ok');
+    } catch (err) {
+        micEnabled.checked = false;
+        showStatus(`Microphone access was not granted (${err.message}).`, 'error');
+    }
+});
+
+// ── Meetily sync ───────────────────────────────────────────────────────────────
+btnTestSync.addEventListener('click', async () => {
+    const backendUrl = readBackendUrl();
+    if (!backendUrl) return;
+    const granted = await requestHost(backendUrl);
+    if (!granted) return showStatus(`Permission to contact ${new URL(backendUrl).host} was not granted.`, 'error');
+
+    btnTestSync.disabled = true;
+    showStatus('Contacting the backend…');
+    try {
+        const count = await testBackend(backendUrl);
+        showStatus(`Connected — the backend has ${count} meetings.`, 'ok');
+    } catch (err) {
+        showStatus(`${err.message} Is the backend running?`, 'error');
+    } finally {
+        btnTestSync.disabled = false;
+    }
+});
+
+// ── Note templates ─────────────────────────────────────────────────────────────
+async function renderTemplates() {
+    const templates = await getTemplates();
+    templateList.innerHTML = '';
+    for (const t of templates) {
+        const row = document.createElement('div');
+        row.className = 'template-row';
+        row.innerHTML = `
+      <div class="template-main">
+        <div class="template-name"></div>
+        <div class="template-desc"></div>
+      </div>
+      <span class="template-tag">${t.builtIn ? 'Built-in' : 'Custom'}</span>
+      <button class="btn btn-secondary btn-small" data-act="duplicate" type="button">Duplicate</button>
+    `;
+        row.querySelector('.template-name').textContent = t.name;
+        row.querySelector('.template-desc').textContent = t.description;
+        row.querySelector('[data-act="duplicate"]').addEventListener('click', () =>
+            openEditor({ ...t, id: null, name: `${t.name} (copy)` }));
+
+        if (!t.builtIn) {
+            const edit = Object.assign(document.createElement('button'), {
+                className: 'btn btn-secondary btn-small', type: 'button', textContent: 'Edit',
+            });
+            const del = Object.assign(document.createElement('button'), {
+                className: 'btn btn-secondary btn-small', type: 'button', textContent: 'Delete',
+            });
+            edit.addEventListener('click', () => openEditor(t));
+            del.addEventListener('click', async () => {
+                await deleteUserTemplate(t.id);
+                if (editingTemplateId === t.id) closeEditor();
+                renderTemplates();
+            });
+            row.append(edit, del);
+        }
+        templateList.appendChild(row);
+    }
+}
+
+function openEditor(template) {
+    editingTemplateId = template?.id ?? null;
+    tplName.value = template?.name ?? '';
+    tplDescription.value = template?.description ?? '';
+    tplPrompt.value = template?.prompt ?? '';
+    tplSections.value = template ? sectionsToText(template.sections) : '';
+    tplRules.value = template?.rules?.join('\n') ?? '';
+    templateEditor.style.display = 'flex';
+    tplName.focus();
+}
+
+function closeEditor() {
+    editingTemplateId = null;
+    templateEditor.style.display = 'none';
+}
+
+btnNewTemplate.addEventListener('click', () => openEditor(null));
+btnCancelTemplate.addEventListener('click', closeEditor);
+
+btnSaveTemplate.addEventListener('click', async () => {
+    const sections = textToSections(tplSections.value);
+    if (!tplName.value.trim()) return showStatus('Give the template a name.', 'error');
+    if (!tplPrompt.value.trim()) return showStatus('Write the template instructions.', 'error');
+    if (!sections.length) return showStatus('Add at least one "## Heading" section.', 'error');
+    const unknown = sections.find(s => s.field && !SECTION_FIELDS.includes(s.field));
+    if (unknown) return showStatus(`"{${unknown.field}}" is not a notes field — use one of ${SECTION_FIELDS.map(f => `{${f}}`).join(', ')}.`, 'error');
+
+    await saveUserTemplate({
+        id: editingTemplateId,
+        name: tplName.value,
+        description: tplDescription.value,
+        prompt: tplPrompt.value,
+        sections,
+        rules: tplRules.value.split('\n').map(r => r.trim()).filter(Boolean),
+    });
+    closeEditor();
+    await renderTemplates();
+    showStatus('Template saved.', 'ok');
+});
+
+// ── Selector packs ─────────────────────────────────────────────────────────────
+async function renderSelectorPacks() {
+    const packs = await listSelectorPacks();
+    packList.innerHTML = '';
+    for (const p of packs) {
+        const row = document.createElement('div');
+        row.className = 'pack-row';
+        row.innerHTML = `
+      <div class="pack-main">
+        <div class="pack-name"></div>
+        <div class="pack-meta"></div>
+      </div>
+      <button class="btn btn-secondary btn-small" data-act="export" type="button">Export</button>
+    `;
+        row.querySelector('.pack-name').textContent = p.label;
+        row.querySelector('.pack-meta').textContent = packDescription(p);
+        row.querySelector('[data-act="export"]').addEventListener('click', () => {
+            const { source, importedAt, ...pack } = p.active;
+            download(JSON.stringify(pack, null, 2), `ivey-selectors-${p.platform}-v${pack.version}.json`, 'application/json');
+        });
+
+        if (p.imported) {
+            const remove = Object.assign(document.createElement('button'), {
+                className: 'btn btn-secondary btn-small', type: 'button', textContent: 'Use built-in',
+            });
+            remove.addEventListener('click', async () => {
+                await removeImportedPack(p.platform);
+                renderSelectorPacks();
+                showStatus(`${p.label}: back to the built-in selectors.`, 'ok');
+            });
+            row.appendChild(remove);
+        }
+        packList.appendChild(row);
+    }
+}
+
+function packDescription(p) {
+    const counts = `${p.active.speaker.length} speaker selectors`;
+    if (!p.imported) return `Built-in v${p.builtInVersion} · ${counts}`;
+    const when = new Date(p.imported.importedAt).toLocaleDateString();
+    return p.active.source === 'imported'
+        ? `Imported v${p.imported.version} on ${when} (built-in v${p.builtInVersion}) · ${counts}`
+        : `Built-in v${p.builtInVersion} · imported v${p.imported.version} is older and ignored`;
+}
+
+btnImportPack.addEventListener('click', () => packFile.click());
+
+packFile.addEventListener('change', async () => {
+    const [file] = packFile.files;
+    packFile.value = '';
+    if (!file) return;
+
+    const { packs, errors } = parseSelectorPacks(await file.text());
+    if (packs.length) {
+        await importSelectorPacks(packs);
+        await renderSelectorPacks();
+    }
+    const imported = packs.map(p => `${p.platform} v${p.version}`).join(', ');
+    if (errors.length) {
+        showStatus(`${imported ? `Imported ${imported}. ` : ''}Skipped: ${errors.join(' ')}`, 'error');
+    } else {
+        showStatus(`Imported ${imported}. Open meeting tabs use it right away.`, 'ok');
+    }
+});
+
+// ── DOM diagnostics ────────────────────────────────────────────────────────────
+btnDiagnostics.addEventListener('click', async () => {
+    const tabs = await chrome.tabs.query({ url: MEETING_URL_PATTERNS });
+    const tab = tabs.find(t => t.active) ?? tabs[tabs.length - 1];
+    if (!tab) return showStatus('Open the meeting tab first, then run diagnostics.', 'error');
+
+    btnDiagnostics.disabled = true;
+    try {
+        diagnosticsReport = await chrome.tabs.sendMessage(tab.id, { action: 'runDiagnostics' });
+        if (!diagnosticsReport) throw new Error('The meeting tab did not answer.');
+        diagnosticsSummary.textContent = diagnosticsText(diagnosticsReport);
+        diagnostics.style.display = 'flex';
+        showStatus('Diagnostics captured. Check the report, then download it for your bug report.', 'ok');
+    } catch (err) {
+        showStatus(`Diagnostics failed: ${err.message} Reload the meeting tab and try again.`, 'error');
+    } finally {
+        btnDiagnostics.disabled = false;
+    }
+});
+
+btnDownloadDiagnostics.addEventListener('click', () => {
+    if (!diagnosticsReport) return;
+    const stamp = diagnosticsReport.generatedAt.slice(0, 19).replace(/[T:]/g, '-');
+    download(JSON.stringify(diagnosticsReport, null, 2), `ivey-diagnostics-${diagnosticsReport.platform}-${stamp}.json`,
+        'application/json');
+});
+
+function diagnosticsText(report) {
+    const yesNo = v => (v ? 'yes' : 'NO');
+    const lines = [
+        `Platform: ${report.platform} (${report.page}, ${report.frame} frame)`,
+        `Selector pack: v${report.pack.version} (${report.pack.source})`,
+        `Meeting detected: ${yesNo(report.meetingActive)} · Active speaker found: ${yesNo(report.activeSpeakerFound)} · Own name found: ${yesNo(report.selfNameFound)}`,
+        '',
+    ];
+    for (const s of report.selectors) {
+        const result = s.error ?? `${s.matches} match${s.matches === 1 ? '' : 'es'}${s.matches ? `, ${s.withText} with text` : ''}`;
+        lines.push(`[${s.list}] ${s.matches ? '✓' : '·'} ${s.selector} — ${result}`);
+    }
+    lines.push('', `${report.outline.length} elements outlined in the report.`);
+    return lines.join('\n');
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function readBaseUrl() {
+    try {
+        const url = normalizeBaseUrl(llmBaseUrl.value);
+        if (!/^https?:$/.test(new URL(url).protocol)) throw new Error();
+        llmBaseUrl.value = url;
+        return url;
+    } catch (_) {
+        showStatus('Endpoint must be an http(s) URL, e.g. http://127.0.0.1:11434', 'error');
+        return null;
+    }
+}
+
+function readBackendUrl() {
+    try {
+        const url = syncBackendUrl.value.trim().replace(/\/+$/, '');
+        if (!/^https?:$/.test(new URL(url).protocol)) throw new Error();
+        syncBackendUrl.value = url;
+        return url;
+    } catch (_) {
+        showStatus('Backend URL must be an http(s) URL, e.g. http://127.0.0.1:5167', 'error');
+        return null;
+    }
+}
+
+// Must be the first await in a click handler to keep the user gesture
+function requestHost(...urls) {
+    const origins = urls.filter(url => !isLoopback(url)).map(hostPattern);
+    if (!origins.length) return Promise.resolve(true);
+    return chrome.permissions.request({ origins });
+}
+
+function download(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const a = Object.assign(document.createElement('a'), {
+        href: URL.createObjectURL(blob),
+        download: filename,
+    });
+    a.click();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+    if (bytes >= 1e6) return `${Math.round(bytes / 1e6)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1e3))} KB`;
+}
+
+function showStatus(text, type = '') {
+    saveStatus.textContent = text;
+    saveStatus.className = 'save-status ' + type;
+}
+
+// ── Bootstrap ──────────────────────────────────────────────────────────────────
+init();
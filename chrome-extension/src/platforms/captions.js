@@ -0,0 +1,151 @@
+/**
+ * platforms/captions.js — Live-caption reader (content script)
+ *
+ * Meetings with live captions turned on already show accurate text with the
+ * speaker's name. The caption panel is rewritten in place as people talk: the
+ * newest line grows and gets corrected word by word, and old lines scroll out
+ * of a virtualised list. This module polls the panel through the selector pack
+ * (captionItem / captionAuthor / captionText), waits for each line to settle,
+ * and hands every finished line over exactly once.
+ */
+
+import { cleanName } from './dom.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const POLL_MS = 500;
+const SETTLE_MS = 1500;      // unchanged this long with a newer line below it → final
+const STALE_MS = 5000;       // unchanged this long even as the newest line → final
+const RECENT_LINES = 50;     // re-rendered copies of these are not sent again
+
+let pollTimer = null;
+let getPack = null;
+let onLine = null;
+let onProgress = null;
+let nextLineId = 1;
+const lines = new Map();     // element → { id, speaker, text, firstSeen, lastChanged, sent }
+let recentKeys = [];
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+/** True if the pack has caption selectors for this platform. */
+export function captionsSupported(pack) {
+    return pack.captionItem?.length > 0;
+}
+
+/** True if the caption panel is on screen right now. */
+export function captionsVisible(pack) {
+    return captionItems(pack).length > 0;
+}
+
+/**
+ * Start reading captions. `line({ speaker, text, timestamp, endTimestamp })`
+ * fires once per finished line; `progress({ lineId, start, end })` (optional)
+ * fires while a line is still being spoken.
+ */
+export function startCaptions(packGetter, line, progress = null) {
+    stopCaptions();
+    getPack = packGetter;
+    onLine = line;
+    onProgress = null;
+
+    // Lines already on screen were spoken before the recording; only the newest may still grow
+    scan();
+    const items = captionItems(getPack());
+    for (const el of items.slice(0, -1)) {
+        if (lines.has(el)) lines.get(el).sent = true;
+    }
+    onProgress = progress;
+    pollTimer = setInterval(scan, POLL_MS);
+}
+
+/** Stop reading. Returns the lines that had not been handed over yet. */
+export function stopCaptions() {
+    if (!pollTimer) return [];
+    clearInterval(pollTimer);
+    pollTimer = null;
+    scan();
+
+    const pending = [];
+    onLine = caption => pending.push(caption);
+    for (const line of lines.values()) finish(line);
+    lines.clear();
+    recentKeys = [];
+    return pending;
+}
+
+// ── Scanning ───────────────────────────────────────────────────────────────────
+function scan() {
+    const pack = getPack();
+    const now = Date.now();
+    const items = captionItems(pack);
+    const seen = new Set(items);
+
+    let lastSpeaker = null;
+    for (const el of items) {
+        // Consecutive lines by one person may only show the name once
+        const speaker = cleanName(firstTextIn(el, pack.captionAuthor)) ?? lastSpeaker ?? 'Unknown';
+        const text = firstTextIn(el, pack.captionText) ?? '';
+        lastSpeaker = speaker;
+
+        const line = lines.get(el);
+        if (!line) {
+            lines.set(el, { id: nextLineId++, speaker, text, firstSeen: now, lastChanged: now, sent: false });
+        } else if (line.text !== text || line.speaker !== speaker) {
+            Object.assign(line, { speaker, text, lastChanged: now });
+        }
+    }
+
+    // Lines that scrolled out of the panel are as final as they will get
+    for (const [el, line] of lines) {
+        if (!seen.has(el)) {
+            finish(line);
+            lines.delete(el);
+        }
+    }
+
+    const newest = items[items.length - 1];
+    for (const [el, line] of lines) {
+        if (line.sent || !line.text) continue;
+        const quiet = now - line.lastChanged;
+        if (quiet >= STALE_MS || (el !== newest && quiet >= SETTLE_MS)) {
+            finish(line);
+        } else if (line.lastChanged === now) {
+            onProgress?.({ lineId: line.id, start: line.firstSeen, end: now });
+        }
+    }
+}
+
+function finish(line) {
+    if (line.sent || !line.text) return;
+    line.sent = true;
+
+    const key = `${line.speaker}\n${line.text}`;
+    if (recentKeys.includes(key)) return;
+    recentKeys = [...recentKeys.slice(-(RECENT_LINES - 1)), key];
+    onLine(toCaption(line));
+}
+
+function toCaption(line) {
+    return { speaker: line.speaker, text: line.text, timestamp: line.firstSeen, endTimestamp: line.lastChanged };
+}
+
+// ── DOM helpers ────────────────────────────────────────────────────────────────
+// Elements of the first captionItem selector that matches anything
+function captionItems(pack) {
+    for (const selector of pack.captionItem ?? []) {
+        try {
+            const items = [...document.querySelectorAll(selector)];
+            if (items.length) return items;
+        } catch (_) { /* ignore invalid selectors */ }
+    }
+    return [];
+}
+
+function firstTextIn(el, selectors = []) {
+    for (const selector of selectors) {
+        try {
+            const text = el.querySelector(selector)?.textContent?.trim();
+            if (text) return text;
+        } catch (_) { /* ignore invalid selectors */ }
+    }
+    return null;
+}
@@ -0,0 +1,152 @@
+/**
+ * platforms/diagnostics.js — Sanitized DOM snapshot for selector bug reports
+ *
+ * Runs in the content script when the options page asks for it. Reports which
+ * selectors of the pack in effect match, plus an outline of the elements around
+ * the meeting stage — tag names, class names, data-* hooks and roles — so a
+ * broken pack can be fixed from the report alone.
+ *
+ * Privacy: no text content, names, e-mail addresses or ids leave the page.
+ * Text is reduced to its length; free-text attributes (aria-label, title, …)
+ * are redacted except for a few UI keywords such as "speaking" or "muted".
+ */
+
+import { PACK_LISTS } from './selectorPacks.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const MAX_ELEMENTS = 300;
+const MAX_DEPTH = 12;
+
+// Elements worth outlining even when no selector in the pack matches them
+const PROBE_SELECTORS = [
+    '[aria-live]',
+    '[data-is-speaking]',
+    '[data-tid*="participant"]',
+    '[data-tid*="speaker"]',
+    '[data-participant-id]',
+    '[data-self-name]',
+    '[data-test*="participant"]',
+    '[data-test*="speaker"]',
+    '[class*="speak"]',
+    '[class*="participant"]',
+    '[class*="roster"]',
+    '[class*="avatar"]',
+];
+
+const FREE_TEXT_ATTRIBUTES = ['aria-label', 'aria-description', 'title', 'alt', 'placeholder'];
+const KEYWORDS = ['speaking', 'muted', 'unmuted', 'camera', 'microphone', 'raised', 'presenting', 'you', 'me', 'host', 'guest', 'leave'];
+const IDENTIFIER = /^[\w:.-]{1,48}$/;   // tokens like data-tid="participant-name"
+
+// ── Report ─────────────────────────────────────────────────────────────────────
+export function captureDiagnostics(platform, pack) {
+    const selectors = PACK_LISTS.flatMap(list => (pack[list] ?? []).map(selector => ({
+        list,
+        selector,
+        ...countMatches(selector),
+    })));
+
+    const selfName = platform.getSelfName(pack);
+    return {
+        format: 'ivey-dom-diagnostics',
+        generatedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        browser: navigator.userAgent.match(/Chrome\/[\d.]+/)?.[0] ?? 'unknown',
+        platform: platform.id,
+        page: sanitizedLocation(),
+        frame: window === window.top ? 'top' : 'iframe',
+        pack: { version: pack.version, source: pack.source },
+        meetingActive: platform.isMeetingActive(pack),
+        activeSpeakerFound: !!platform.getActiveSpeaker(pack),
+        selfNameFound: !!selfName,
+        selectors,
+        outline: outlineCandidates(pack),
+    };
+}
+
+function countMatches(selector) {
+    try {
+        const matches = document.querySelectorAll(selector);
+        const withText = [...matches].filter(el => el.textContent?.trim()).length;
+        return { matches: matches.length, withText };
+    } catch (err) {
+        return { matches: 0, withText: 0, error: 'Invalid selector' };
+    }
+}
+
+// Host and path shape only — meeting ids and query strings are dropped
+function sanitizedLocation() {
+    const path = location.pathname.split('/').map(seg => (/\d/.test(seg) || seg.length > 24 ? ':id' : seg)).join('/');
+    return `${location.host}${path}`;
+}
+
+// ── Element outline ────────────────────────────────────────────────────────────
+function outlineCandidates(pack) {
+    const matchedBy = new Map();   // element → pack lists that matched it
+    for (const list of PACK_LISTS) {
+        for (const selector of pack[list] ?? []) {
+            try {
+                for (const el of document.querySelectorAll(selector)) {
+                    matchedBy.set(el, new Set([...(matchedBy.get(el) ?? []), list]));
+                }
+            } catch (_) { /* reported by countMatches */ }
+        }
+    }
+
+    const candidates = new Set(matchedBy.keys());
+    for (const probe of PROBE_SELECTORS) {
+        for (const el of document.querySelectorAll(probe)) {
+            if (candidates.size >= MAX_ELEMENTS) break;
+            candidates.add(el);
+        }
+    }
+
+    return [...candidates].slice(0, MAX_ELEMENTS).map(el => ({
+        path: elementPath(el),
+        ...describeElement(el),
+        ...(matchedBy.has(el) && { matchedBy: [...matchedBy.get(el)] }),
+    }));
+}
+
+function elementPath(el) {
+    const parts = [];
+    for (let node = el.parentElement; node && node !== document.body && parts.length < MAX_DEPTH; node = node.parentElement) {
+        parts.unshift(shortName(node));
+    }
+    return parts.join(' > ');
+}
+
+function shortName(el) {
+    const hook = el.getAttribute('data-tid') ?? el.getAttribute('data-test');
+    if (hook && IDENTIFIER.test(hook)) return `${el.localName}[${hook}]`;
+    const cls = [...el.classList].slice(0, 2).join('.');
+    return cls ? `${el.localName}.${cls}` : el.localName;
+}
+
+function describeElement(el) {
+    const attributes = {};
+    for (const { name, value } of el.attributes) {
+        if (name === 'class' || name === 'style' || name === 'src' || name === 'href') continue;
+        attributes[name] = sanitizeAttribute(name, value);
+    }
+    return {
+        tag: el.localName,
+        classes: [...el.classList],
+        attributes,
+        textLength: el.textContent?.trim().length ?? 0,
+        children: el.childElementCount,
+    };
+}
+
+function sanitizeAttribute(name, value) {
+    if (FREE_TEXT_ATTRIBUTES.includes(name) || name.includes('name')) return redact(value);
+    if (value === '' || value === 'true' || value === 'false') return value;
+    // Ids and participant references can embed user identifiers
+    if (name === 'id' || name.includes('participant') || name.includes('user')) return '[id]';
+    return IDENTIFIER.test(value) && !/\d{4,}/.test(value) ? value : redact(value);
+}
+
+function redact(value) {
+    const words = value.toLowerCase().match(/[a-z]+/g) ?? [];
+    const hints = KEYWORDS.filter(k => words.includes(k));
+    return `[redacted ${value.length} chars${hints.length ? `; mentions: ${hints.join(', ')}` : ''}]`;
+}
@@ -0,0 +1,41 @@
+/**
+ * platforms/dom.js — DOM helpers shared by the platform adapters
+ *
+ * Meeting web apps change their markup often, so adapters list several
+ * selectors per signal and take the first one that yields a plausible name.
+ */
+
+/** Trimmed text of the first element matching any selector, or null. */
+export function firstText(selectors, { maxLength = 80 } = {}) {
+    for (const selector of selectors) {
+        try {
+            const name = cleanName(document.querySelector(selector)?.textContent);
+            if (name && name.length < maxLength) return name;
+        } catch (_) { /* ignore invalid selectors */ }
+    }
+    return null;
+}
+
+/** True if any selector matches. */
+export function anyMatch(selectors) {
+    return selectors.some((selector) => {
+        try { return !!document.querySelector(selector); } catch (_) { return false; }
+    });
+}
+
+/** "Jane Doe is speaking" announced in an aria-live region → "Jane Doe". */
+export function ariaLiveSpeaker() {
+    for (const el of document.querySelectorAll('[aria-live]')) {
+        const text = el.textContent?.trim();
+        if (text && text.includes('speaking') && text.length < 100) {
+            const match = text.match(/^(.+?)\s+(?:is\s+)?speaking/i);
+            if (match?.[1]) return match[1].trim();
+        }
+    }
+    return null;
+}
+
+// Tile labels often carry decorations: "Jane Doe (Guest)", "Jane Doe (Me)"
+export function cleanName(text) {
+    return text?.replace(/\s*\((?:me|you|guest|host|co-host|external|unverified)\)\s*$/i, '').trim() || null;
+}
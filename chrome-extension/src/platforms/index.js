@@ -0,0 +1,50 @@
+/**
+ * platforms/index.js — Meeting platform adapters
+ *
+ * One adapter per meeting product. Each exposes the same shape:
+ *   { id, label, matches: [match patterns], allFrames?, selectors,
+ *     isMeetingActive(pack), getActiveSpeaker(pack), getSelfName(pack), meetingTitle(tabTitle) }
+ *
+ * `selectors` is the built-in selector pack { version, speaker, self, meeting };
+ * the DOM functions take the pack in effect (selectorPacks.js), which may be a
+ * newer one the user imported.
+ *
+ * The DOM functions run in the content script; `matches` and meetingTitle()
+ * are used by the popup and service worker to find and name meeting tabs.
+ * Keep `matches` in sync with host_permissions and content_scripts in manifest.json.
+ */
+
+import teams from './teams.js';
+import meet from './meet.js';
+import zoom from './zoom.js';
+import webex from './webex.js';
+
+export const PLATFORMS = [teams, meet, zoom, webex];
+
+/** Every URL pattern of every platform, for chrome.tabs.query({ url }). */
+export const MEETING_URL_PATTERNS = PLATFORMS.flatMap(p => p.matches);
+
+export function getPlatform(id) {
+    return PLATFORMS.find(p => p.id === id) ?? null;
+}
+
+/** The adapter whose match patterns cover `url`, or null. */
+export function platformForUrl(url) {
+    if (!url) return null;
+    return PLATFORMS.find(p => p.matches.some(pattern => matchPatternToRegExp(pattern).test(url))) ?? null;
+}
+
+/** "Microsoft Teams, Google Meet, Zoom or Webex" */
+export function platformNames() {
+    const labels = PLATFORMS.map(p => p.label);
+    return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+}
+
+// Chrome match pattern → RegExp ("*." in the host also matches the bare domain)
+function matchPatternToRegExp(pattern) {
+    const [, scheme, host, path] = pattern.match(/^(\*|https?):\/\/([^/]+)(\/.*)$/);
+    const escape = s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const hostRe = host.startsWith('*.') ? `(?:[^/]+\\.)?${escape(host.slice(2))}` : escape(host);
+    const pathRe = escape(path).replace(/\*/g, '.*');
+    return new RegExp(`^${scheme === '*' ? 'https?' : scheme}://${hostRe}${pathRe}$`);
+}
@@ -0,0 +1,57 @@
+/**
+ * platforms/meet.js — Google Meet adapter
+ *
+ * Meet's class names are minified and change with every release, so the
+ * selectors lean on data-* and aria attributes, which are far more stable.
+ */
+
+import { firstText, anyMatch, ariaLiveSpeaker } from './dom.js';
+
+// Built-in selector pack; see selectorPacks.js for imported overrides
+const SELECTORS = {
+    version: 1,
+
+    // Each tile's name label carries data-self-name (the localised "You")
+    speaker: [
+        '[data-participant-id][data-is-speaking="true"] [data-self-name]',
+        '[data-participant-id][class*="speaking"] [data-self-name]',
+        '[data-participant-id][aria-label*="speaking" i] [data-self-name]',
+        '[data-is-speaking="true"] [data-self-name]',
+    ],
+
+    self: [],
+
+    meeting: [
+        '[data-participant-id]',
+        '[aria-label="Leave call"]',
+    ],
+
+    // Live captions are not read on this platform yet
+    captionItem: [],
+    captionAuthor: [],
+    captionText: [],
+};
+
+export default {
+    id: 'meet',
+    label: 'Google Meet',
+    matches: ['https://meet.google.com/*'],
+    selectors: SELECTORS,
+
+    isMeetingActive: (pack) => anyMatch(pack.meeting),
+    getActiveSpeaker: (pack) => firstText(pack.speaker) ?? ariaLiveSpeaker(),
+
+    // Account menu: aria-label="Google Account: Jane Doe (jane@example.com)"
+    getSelfName(pack) {
+        const fromPack = firstText(pack.self);
+        if (fromPack) return fromPack;
+        const account = document.querySelector('[aria-label^="Google Account:"]')?.getAttribute('aria-label');
+        return account?.match(/^Google Account:\s*(.+?)\s*(?:\(|$)/)?.[1] ?? null;
+    },
+
+    // "Meet – Weekly sync"; a bare meeting code "Meet - abc-defg-hij" says nothing
+    meetingTitle(tabTitle) {
+        const title = tabTitle?.replace(/^\s*(Google )?Meet\s*[-–|]\s*/i, '').trim();
+        return title && !/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(title) && !/^(Google )?Meet$/i.test(title) ? title : null;
+    },
+};
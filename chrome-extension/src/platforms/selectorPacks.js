@@ -0,0 +1,153 @@
+/**
+ * platforms/selectorPacks.js — Versioned, user-importable selector packs
+ *
+ * Each adapter ships a built-in pack. When a meeting app changes its markup, a
+ * newer pack can be imported from a local JSON file on the options page instead
+ * of waiting for a rebuild:
+ *
+ *   { "format": "ivey-selector-pack", "platform": "teams", "version": 2,
+ *     "speaker": ["…"], "self": ["…"], "meeting": ["…"],
+ *     "captionItem": ["…"], "captionAuthor": ["…"], "captionText": ["…"] }
+ *
+ * The caption lists locate live-caption lines (captions.js); platforms without
+ * caption support leave them empty.
+ *
+ * A file may also hold several packs ({ "packs": [ … ] } or a plain array).
+ * Imported packs live in chrome.storage.local and win over the built-in pack
+ * as long as their version is at least the built-in one — an extension update
+ * with a newer built-in pack supersedes an older import.
+ */
+
+import { PLATFORMS, getPlatform } from './index.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+export const PACK_FORMAT = 'ivey-selector-pack';
+export const PACK_LISTS = ['speaker', 'self', 'meeting', 'captionItem', 'captionAuthor', 'captionText'];
+const STORAGE_KEY = 'selectorPacks';   // { [platformId]: pack }
+
+// ── Read ───────────────────────────────────────────────────────────────────────
+async function getImportedPacks() {
+    const { [STORAGE_KEY]: packs = {} } = await chrome.storage.local.get(STORAGE_KEY);
+    return packs;
+}
+
+export function builtInPack(platform) {
+    return { format: PACK_FORMAT, platform: platform.id, ...platform.selectors, source: 'built-in' };
+}
+
+function effectivePack(platform, imported) {
+    return imported && imported.version >= platform.selectors.version
+        ? { ...imported, source: 'imported' }
+        : builtInPack(platform);
+}
+
+/** The pack in effect for a platform adapter. */
+export async function getSelectorPack(platform) {
+    const imported = await getImportedPacks();
+    return effectivePack(platform, imported[platform.id]);
+}
+
+/** Per-platform overview for the options page. */
+export async function listSelectorPacks() {
+    const imported = await getImportedPacks();
+    return PLATFORMS.map(p => ({
+        platform: p.id,
+        label: p.label,
+        builtInVersion: p.selectors.version,
+        imported: imported[p.id] ?? null,
+        active: effectivePack(p, imported[p.id]),
+    }));
+}
+
+/** Calls `callback` whenever packs are imported or removed. */
+export function onSelectorPacksChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[STORAGE_KEY]) callback();
+    });
+}
+
+// ── Import / remove ────────────────────────────────────────────────────────────
+/**
+ * Parse a selector-pack file. Returns { packs, errors }; packs with errors are
+ * left out so one bad entry does not block the rest.
+ */
+export function parseSelectorPacks(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        return { packs: [], errors: [`Not valid JSON (${err.message}).`] };
+    }
+
+    const entries = Array.isArray(raw) ? raw : Array.isArray(raw?.packs) ? raw.packs : [raw];
+    const packs = [];
+    const errors = [];
+    entries.forEach((entry, i) => {
+        const label = entries.length > 1 ? `Pack ${i + 1}: ` : '';
+        const problems = validatePack(entry);
+        if (problems.length) errors.push(...problems.map(p => label + p));
+        else packs.push(normalizePack(entry));
+    });
+    return { packs, errors };
+}
+
+function validatePack(pack) {
+    if (!pack || typeof pack !== 'object') return ['Expected a JSON object.'];
+    if (pack.format !== PACK_FORMAT) return [`"format" must be "${PACK_FORMAT}".`];
+
+    const errors = [];
+    if (!getPlatform(pack.platform)) {
+        errors.push(`Unknown "platform" ${JSON.stringify(pack.platform)} — expected one of ${PLATFORMS.map(p => p.id).join(', ')}.`);
+    }
+    if (!Number.isInteger(pack.version) || pack.version < 1) errors.push('"version" must be a positive whole number.');
+    if (!Array.isArray(pack.speaker) || !pack.speaker.length) errors.push('"speaker" must list at least one selector.');
+
+    for (const list of PACK_LISTS) {
+        if (pack[list] == null) continue;
+        if (!Array.isArray(pack[list])) {
+            errors.push(`"${list}" must be an array of selectors.`);
+            continue;
+        }
+        for (const selector of pack[list]) {
+            if (typeof selector !== 'string' || !isValidSelector(selector)) {
+                errors.push(`Invalid ${list} selector: ${JSON.stringify(selector)}`);
+            }
+        }
+    }
+    return errors;
+}
+
+function normalizePack(pack) {
+    const platform = getPlatform(pack.platform);
+    return {
+        format: PACK_FORMAT,
+        platform: platform.id,
+        version: pack.version,
+        // Lists the pack leaves out keep the built-in selectors
+        ...Object.fromEntries(PACK_LISTS.map(list => [list, pack[list] ?? platform.selectors[list]])),
+        importedAt: Date.now(),
+    };
+}
+
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/** Store parsed packs, replacing any earlier import for the same platform. */
+export async function importSelectorPacks(packs) {
+    const imported = await getImportedPacks();
+    for (const pack of packs) imported[pack.platform] = pack;
+    await chrome.storage.local.set({ [STORAGE_KEY]: imported });
+}
+
+/** Drop the imported pack for a platform, going back to the built-in one. */
+export async function removeImportedPack(platformId) {
+    const imported = await getImportedPacks();
+    delete imported[platformId];
+    await chrome.storage.local.set({ [STORAGE_KEY]: imported });
+}
@@ -0,0 +1,87 @@
+/**
+ * platforms/teams.js — Microsoft Teams (web) adapter
+ */
+
+import { firstText, anyMatch, ariaLiveSpeaker } from './dom.js';
+
+// Built-in selector pack. Teams changes its DOM frequently, so a newer pack can
+// be imported on the options page without waiting for a release (selectorPacks.js).
+const SELECTORS = {
+    version: 2,
+
+    // Tried in order; the first that yields a name wins
+    speaker: [
+        // Primary: active speaker tile in the meeting stage
+        '[data-is-speaking="true"] [data-tid="speaking-participant-name"]',
+        '[data-is-speaking="true"] .ui-label',
+        '[data-is-speaking="true"] [class*="participant-name"]',
+        '[data-is-speaking="true"] [class*="displayName"]',
+
+        // Secondary: active speaker indicator in participant roster
+        '[class*="activeSpeaker"] [class*="participantName"]',
+        '[class*="activeSpeaker"] .fui-Text',
+        '[class*="active-speaker"] [class*="name"]',
+
+        // Tertiary: calling stage dominant speaker
+        '[data-tid="calling-dominant-speaker"] [data-tid="participant-name"]',
+        '[data-tid="calling-dominant-speaker"] .ui-label',
+        '[data-tid="calling-dominant-speaker"] [class*="displayName"]',
+
+        // Quaternary: video tiles with speaking indicator
+        '[class*="speaking"] [class*="participantName"]',
+        '[class*="speaking"] [class*="displayName"]',
+        '[class*="speaking-border"] ~ * [class*="name"]',
+
+        // Teams 2.0 / new Teams
+        '[data-component-type="callingParticipant"][aria-label*="speaking"] [class*="nameLabel"]',
+        '[class*="dominantSpeaker"] span[class*="text"]',
+    ],
+
+    // Teams usually shows "You" or the logged-in user's name on the self-tile
+    self: [
+        '[data-tid="calling-participant-stream-mine"] [data-tid="participant-name"]',
+        '[class*="self"] [class*="participantName"]',
+        '[class*="selfVideo"] [class*="displayName"]',
+    ],
+
+    // Any match means a call is on screen
+    meeting: [
+        '[data-tid="calling-participant-stream"]',
+        '[class*="callingScreen"]',
+        '[class*="meetingStage"]',
+        '[id*="meeting-stage"]',
+        '[class*="call-stage"]',
+    ],
+
+    // Live captions: one element per caption line, with its author and text
+    captionItem: [
+        '[data-tid="closed-caption-v2-window-wrapper"] .fui-ChatMessageCompact',
+        '[data-tid="closed-captions-renderer"] .fui-ChatMessageCompact',
+        '[data-tid="closed-caption-v2-virtual-list-content"] > div',
+    ],
+    captionAuthor: [
+        '[data-tid="author"]',
+        '.fui-ChatMessageCompact__author',
+    ],
+    captionText: [
+        '[data-tid="closed-caption-text"]',
+        '.fui-ChatMessageCompact__body',
+    ],
+};
+
+export default {
+    id: 'teams',
+    label: 'Microsoft Teams',
+    matches: ['https://teams.microsoft.com/*', 'https://teams.live.com/*'],
+    selectors: SELECTORS,
+
+    isMeetingActive: (pack) => anyMatch(pack.meeting),
+    getActiveSpeaker: (pack) => firstText(pack.speaker) ?? ariaLiveSpeaker(),
+    getSelfName: (pack) => firstText(pack.self),
+
+    // "Weekly sync | Microsoft Teams"
+    meetingTitle(tabTitle) {
+        const title = tabTitle?.replace(/\s*[|\-–]\s*Microsoft Teams.*$/i, '').trim();
+        return title && !/^(Microsoft )?Teams$/i.test(title) ? title : null;
+    },
+};
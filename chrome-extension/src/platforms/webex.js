@@ -0,0 +1,58 @@
+/**
+ * platforms/webex.js — Cisco Webex (web app) adapter
+ *
+ * The Webex web app renders the meeting inside an iframe, so the content
+ * script runs in all frames on webex.com; only the frame that holds the
+ * meeting reports speakers.
+ */
+
+import { firstText, anyMatch, ariaLiveSpeaker } from './dom.js';
+
+// Built-in selector pack; see selectorPacks.js for imported overrides
+const SELECTORS = {
+    version: 1,
+
+    speaker: [
+        '[data-test="active-speaker-name"]',
+        '[data-test="video-layout-active-speaker"] [data-test="participant-name"]',
+        '[class*="active-speaker"] [class*="name"]',
+        '[class*="activeSpeaker"] [class*="Name"]',
+        '[data-test*="speaking"] [data-test="participant-name"]',
+    ],
+
+    self: [
+        '[data-test="participant-self"] [data-test="participant-name"]',
+        '[data-test="self-view"] [data-test="participant-name"]',
+        '[class*="self-view"] [class*="name"]',
+    ],
+
+    meeting: [
+        '[data-test="meeting-controls"]',
+        '[data-test="leave-meeting-button"]',
+        '[class*="meeting-controls"]',
+        '[aria-label="Leave meeting"]',
+    ],
+
+    // Live captions are not read on this platform yet
+    captionItem: [],
+    captionAuthor: [],
+    captionText: [],
+};
+
+export default {
+    id: 'webex',
+    label: 'Webex',
+    matches: ['https://*.webex.com/*'],
+    allFrames: true,
+    selectors: SELECTORS,
+
+    isMeetingActive: (pack) => anyMatch(pack.meeting),
+    getActiveSpeaker: (pack) => firstText(pack.speaker) ?? ariaLiveSpeaker(),
+    getSelfName: (pack) => firstText(pack.self),
+
+    // "Weekly sync - Webex" / "Cisco Webex Meetings"
+    meetingTitle(tabTitle) {
+        const title = tabTitle?.replace(/\s*[|\-–]\s*(Cisco )?Webex.*$/i, '').trim();
+        return title && !/^(Cisco )?Webex( Meetings?)?$/i.test(title) ? title : null;
+    },
+};
@@ -0,0 +1,68 @@
+/**
+ * platforms/zoom.js — Zoom web client adapter (app.zoom.us/wc/…)
+ *
+ * Only the browser client is supported; meetings opened in the Zoom desktop
+ * app have no tab to capture.
+ */
+
+import { firstText, anyMatch, ariaLiveSpeaker } from './dom.js';
+
+// Built-in selector pack; see selectorPacks.js for imported overrides
+const SELECTORS = {
+    version: 1,
+
+    speaker: [
+        // Speaker view: the large active-speaker frame
+        '.speaker-active-container__video-frame .video-avatar__avatar-footer span',
+        '.speaker-active-container__video-frame [class*="avatar-name"]',
+        // Gallery view: tile with the green speaking border
+        '.gallery-video-container__video-frame--active .video-avatar__avatar-footer span',
+        '[class*="video-frame--active"] [class*="avatar-footer"] span',
+        // Strip of thumbnails above the shared screen
+        '.speaker-bar-container__video-frame--active .video-avatar__avatar-footer span',
+    ],
+
+    // Participants panel lists the user as "Jane Doe (Me)"
+    self: [
+        '.participants-item__display-name:has(+ .participants-item__name-label)',
+        '.participants-item__name-section:has([class*="name-label"]) .participants-item__display-name',
+    ],
+
+    meeting: [
+        '#wc-container-left',
+        '.meeting-client',
+        '.footer__leave-btn',
+        '[aria-label="Leave"]',
+    ],
+
+    // Live captions are not read on this platform yet
+    captionItem: [],
+    captionAuthor: [],
+    captionText: [],
+};
+
+export default {
+    id: 'zoom',
+    label: 'Zoom',
+    matches: ['https://*.zoom.us/wc/*', 'https://*.zoom.com/wc/*'],
+    selectors: SELECTORS,
+
+    isMeetingActive: (pack) => anyMatch(pack.meeting),
+    getActiveSpeaker: (pack) => firstText(pack.speaker) ?? ariaLiveSpeaker(),
+
+    getSelfName(pack) {
+        const fromPack = firstText(pack.self);
+        if (fromPack) return fromPack;
+        for (const el of document.querySelectorAll('.participants-item__display-name, [class*="participant"] [class*="name"]')) {
+            const match = el.textContent?.match(/^(.+?)\s*\(Me\b/i);
+            if (match) return match[1].trim();
+        }
+        return null;
+    },
+
+    // "Weekly sync - Zoom" — a plain "Zoom" / "Zoom Meeting" says nothing
+    meetingTitle(tabTitle) {
+        const title = tabTitle?.replace(/\s*[|\-–]\s*Zoom.*$/i, '').trim();
+        return title && !/^Zoom( Meeting)?$/i.test(title) ? title : null;
+    },
+};
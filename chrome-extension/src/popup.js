@@ -1,40 +1,147 @@
 /**
- * popup.js — Extension popup UI controller
+ * popup.js — Extension popup and side panel UI controller
  *
  * State machine:  idle → recording → stopping → generating → notes-ready
  * All communication via chrome.runtime.sendMessage to background.js
+ *
+ * The same page runs in two places. The popup closes whenever the meeting tab
+ * is clicked, so it is only a compact launcher: status, recording controls
+ * and a button to open the side panel. The side panel (sidepanel.html, built
+ * from popup.html) stays open next to the meeting with the live transcript,
+ * notes and history, and follows recording changes made from anywhere.
+ *
+ * The history view browses the meeting library kept by background.js; opening a
+ * past meeting loads it into the same transcript/notes panels as a live one.
+ * A meeting's saved recording is read straight from the meeting store (blobs
+ * cannot travel in runtime messages) for click-to-seek playback.
+ *
+ * While recording, the meeting can be paused and moments bookmarked — here or
+ * with the keyboard shortcuts, whose changes background.js broadcasts.
+ *
+ * Transcript entries can be corrected in place (text, speaker, merge, split,
+ * delete). Each edit is saved by background.js, so notes use the corrected text.
+ *
+ * Transcripts downloaded from Teams (.vtt / .docx) are parsed here
+ * (transcriptImport.js) and saved as meetings by background.js.
+ *
+ * "Ask this meeting" sends questions about the meeting in view — live or
+ * saved — to the LLM (meetingChat.js); cited entries link to the transcript.
+ *
+ * While recording, the side panel shows the running summary background.js
+ * keeps up to date, and "Catch me up" sums up the last few minutes.
+ *
+ * The action items view lists every meeting's items to tick off, by owner,
+ * and downloads them as .ics or .csv (actionItems.js).
  */
 
+import { getSettings, saveSettings, WHISPER_LANGUAGES } from './settings.js';
+import { providerLabel } from './llm.js';
+import { getTemplates, AUTO_TEMPLATE_ID, DEFAULT_TEMPLATE_ID } from './templates.js';
+import { MEETING_URL_PATTERNS, platformForUrl, platformNames } from './platforms/index.js';
+import { getMeetingAudio } from './meetingStore.js';
+import { markdownToHtml } from './markdown.js';
+import { exportMeeting, EXPORT_FORMATS } from './meetingExport.js';
+import { parseTranscriptFile } from './transcriptImport.js';
+import { citedEntries } from './meetingChat.js';
+import { exportActionItems } from './actionItems.js';
+
+const IN_SIDE_PANEL = document.body.classList.contains('side-panel');
+
 // ── DOM refs ───────────────────────────────────────────────────────────────────
 const statusBadge = document.getElementById('statusBadge');
 const statusDot = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
-const teamsBanner = document.getElementById('teamsBanner');
+const btnHistory = document.getElementById('btnHistory');
+const btnSettings = document.getElementById('btnSettings');
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+const historyCount = document.getElementById('historyCount');
+const btnImport = document.getElementById('btnImport');
+const importFile = document.getElementById('importFile');
+const btnActions = document.getElementById('btnActions');
+const actionsPanel = document.getElementById('actionsPanel');
+const actionsCount = document.getElementById('actionsCount');
+const btnActionsIcs = document.getElementById('btnActionsIcs');
+const btnActionsCsv = document.getElementById('btnActionsCsv');
+const ownerFilter = document.getElementById('ownerFilter');
+const showDone = document.getElementById('showDone');
+const actionsList = document.getElementById('actionsList');
+const platformBanner = document.getElementById('platformBanner');
+const platformBannerIcon = document.getElementById('platformBannerIcon');
+const platformBannerText = document.getElementById('platformBannerText');
 const btnRecord = document.getElementById('btnRecord');
 const btnIcon = document.getElementById('btnIcon');
 const btnLabel = document.getElementById('btnLabel');
+const sourceSelect = document.getElementById('sourceSelect');
 const timer = document.getElementById('timer');
 const timerDisplay = document.getElementById('timerDisplay');
 const currentSpeakerTag = document.getElementById('currentSpeakerTag');
+const pipelineStats = document.getElementById('pipelineStats');
+const recordActions = document.getElementById('recordActions');
+const btnPause = document.getElementById('btnPause');
+const bookmarkLabel = document.getElementById('bookmarkLabel');
+const btnBookmark = document.getElementById('btnBookmark');
+const btnSidePanel = document.getElementById('btnSidePanel');
+const livePanel = document.getElementById('livePanel');
+const liveSummaryTime = document.getElementById('liveSummaryTime');
+const btnLiveRefresh = document.getElementById('btnLiveRefresh');
+const liveSummaryContent = document.getElementById('liveSummaryContent');
+const catchUpMinutes = document.getElementById('catchUpMinutes');
+const btnCatchUp = document.getElementById('btnCatchUp');
+const btnCatchUpCancel = document.getElementById('btnCatchUpCancel');
+const catchUpContent = document.getElementById('catchUpContent');
 const transcriptPanel = document.getElementById('transcriptPanel');
+const transcriptTitle = document.getElementById('transcriptTitle');
 const transcriptFeed = document.getElementById('transcriptFeed');
+const speakerOptions = document.getElementById('speakerOptions');
 const entryCount = document.getElementById('entryCount');
+const btnRetranscribe = document.getElementById('btnRetranscribe');
+const exportSelect = document.getElementById('exportSelect');
+const audioBar = document.getElementById('audioBar');
+const audioPlayer = document.getElementById('audioPlayer');
 const generateRow = document.getElementById('generateRow');
+const templateSelect = document.getElementById('templateSelect');
 const btnGenerate = document.getElementById('btnGenerate');
 const generateLabel = document.getElementById('generateLabel');
+const btnCancel = document.getElementById('btnCancel');
 const notesPanel = document.getElementById('notesPanel');
 const notesContent = document.getElementById('notesContent');
 const btnDownloadMd = document.getElementById('btnDownloadMd');
 const btnDownloadTxt = document.getElementById('btnDownloadTxt');
 const btnCopy = document.getElementById('btnCopy');
+const chatPanel = document.getElementById('chatPanel');
+const chatLog = document.getElementById('chatLog');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const btnAsk = document.getElementById('btnAsk');
+const btnAskCancel = document.getElementById('btnAskCancel');
+const btnChatClear = document.getElementById('btnChatClear');
+const footerText = document.getElementById('footerText');
 
 // ── App state ──────────────────────────────────────────────────────────────────
 let appState = 'idle';   // idle | recording | stopping | generating | done
 let timerInterval = null;
 let startTime = null;
+let pausedMs = 0;             // time spent paused before the current pause
+let pausedAt = null;          // start of the current pause, null while running
 let transcript = [];
+let markers = [];             // the meeting's bookmarks and pauses, see renderTranscript()
+let shortcuts = {};           // command name → key, e.g. 'add-bookmark' → 'Alt+Shift+B'
 let notes = '';
-let teamsTabId = null;
+let meetingTabId = null;
+let currentMeetingId = null;  // meeting shown in the transcript/notes panels
+let streamedNotes = '';       // notes text received so far while generating
+let renderPending = false;
+let llmSettings = null;       // settings.llm — provider/endpoint shown in labels
+let templates = [];
+let audioStartedAt = null;    // wall-clock ms of the loaded recording's first sample
+let windowId = null;          // window the popup belongs to, for opening the side panel
+let chatMeetingId = null;     // meeting the chat's questions were about
+let chatHistory = [];         // [{ question, answer }] so far, for follow-up questions
+let asking = null;            // { meetingId, text, el } while an answer streams in
+let liveSummaryMinutes = 0;   // settings.notes.liveSummaryMinutes
+let catchUpText = null;       // catch-up text received so far, null when none is running
+let actionItems = [];         // every meeting's action items, as background.js lists them
 
 // Speaker → colour mapping (auto-assigned)
 const speakerColours = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ef4444', '#14b8a6'];
@@ -46,63 +153,110 @@ function getSpeakerColour(name) {
 
 // ── Initialise ─────────────────────────────────────────────────────────────────
 async function init() {
+    const settings = await getSettings();
+    llmSettings = settings.llm;
+    liveSummaryMinutes = settings.notes.liveSummaryMinutes;
+    await loadTemplatePicker(settings.notes.templateId);
+    sourceSelect.value = settings.transcription.source;
+    footerText.textContent = `🔒 Audio processed locally · ${providerLabel(llmSettings)} at ${new URL(llmSettings.baseUrl).host}`;
+    await loadShortcuts();
+    if (!IN_SIDE_PANEL) windowId = (await chrome.windows.getCurrent()).id;
+
     // Restore state from previous session
     const state = await bg('getState');
     if (state.isRecording) {
-        appState = 'recording';
-        startTime = state.startTime || Date.now();
+        showRecording(state);
         transcript = state.transcript || [];
-        renderTranscript(transcript);
-        startTimer();
-        setRecordingUI();
+        markers = meetingMarkers(state);
+        renderTranscript(transcript, markers);
+        renderLiveSummary(state.liveSummary);
+        setLiveUpdating(state.liveSummaryUpdating);
+    } else if (state.generation) {
+        // Notes were still streaming when the popup was last closed
+        const result = await bg('getMeeting', { meetingId: state.generation.meetingId });
+        if (result.ok) {
+            showMeeting(result.meeting);
+            beginGeneratingUI(state.generation.text);
+            if (state.generation.progress) setStatus(progressLabel(state.generation.progress), 'loading');
+        }
     }
 
-    // Check if Teams tab is open
-    const tabs = await chrome.tabs.query({
-        url: ['https://teams.microsoft.com/*', 'https://teams.live.com/*'],
-        currentWindow: false,
-    });
-    if (tabs.length === 0) {
-        teamsBanner.style.display = 'flex';
-        btnRecord.disabled = true;
-        btnRecord.classList.add('btn-disabled');
+    await refreshMeetingTab();
+}
+
+// Check if a meeting tab is open
+async function refreshMeetingTab() {
+    const tab = await findMeetingTab();
+    if (!tab) {
+        showPlatformBanner('⚠️', `Open a ${platformNames()} meeting tab first`, 'warn');
     } else {
-        teamsTabId = tabs.find(t => t.active)?.id || tabs[tabs.length - 1].id;
+        meetingTabId = tab.id;
+        showPlatformBanner('🎥', `${platformForUrl(tab.url).label} — ${tab.title}`, 'ready');
+    }
+    // Mid-start or mid-stop the button is busy; while recording it must stay usable
+    if (['idle', 'done', 'notes-ready'].includes(appState)) {
+        btnRecord.disabled = !tab;
+        btnRecord.classList.toggle('btn-disabled', !tab);
     }
 }
 
+// The side panel outlives tab switches, so it follows meeting tabs opening and closing
+if (IN_SIDE_PANEL) {
+    chrome.tabs.onActivated.addListener(() => refreshMeetingTab());
+    chrome.tabs.onRemoved.addListener(() => refreshMeetingTab());
+    chrome.tabs.onUpdated.addListener((_, change) => {
+        if (change.url || change.title) refreshMeetingTab();
+    });
+}
+
+// Prefer the meeting tab the user is looking at, then any visible one, then the newest
+async function findMeetingTab() {
+    const tabs = await chrome.tabs.query({ url: MEETING_URL_PATTERNS }).catch(() => []);
+    const [focused] = await chrome.tabs.query({ url: MEETING_URL_PATTERNS, active: true, currentWindow: true })
+        .catch(() => []);
+    return focused || tabs.find(t => t.active) || tabs[tabs.length - 1] || null;
+}
+
+function showPlatformBanner(icon, text, type) {
+    platformBannerIcon.textContent = icon;
+    platformBannerText.textContent = text;
+    platformBanner.className = `platform-banner ${type}`;
+    platformBanner.style.display = 'flex';
+}
+
 // ── Record button ──────────────────────────────────────────────────────────────
 btnRecord.addEventListener('click', async () => {
-    if (appState === 'idle') {
-        await startRecording();
-    } else if (appState === 'recording') {
+    if (appState === 'recording') {
         await stopRecording();
+    } else if (appState !== 'stopping' && appState !== 'generating' && appState !== 'retranscribing') {
+        // The transcript is only shown in the side panel — open it while the click still counts as a gesture
+        if (!IN_SIDE_PANEL) openSidePanel({ close: false });
+        // A finished or saved meeting stays in the library — start a new one
+        await startRecording();
     }
 });
 
+btnSidePanel.addEventListener('click', () => openSidePanel({ close: true }));
+
+// Must be called straight from a click: Chrome only opens the panel on a user gesture
+function openSidePanel({ close }) {
+    chrome.sidePanel.open({ windowId })
+        .then(() => { if (close) window.close(); })
+        .catch(err => setStatus('Could not open the side panel: ' + err.message, 'error'));
+}
+
 async function startRecording() {
     setStatus('Starting…', 'loading');
     btnRecord.disabled = true;
 
-    // Get the active Teams tab
-    const [activeTeamsTab] = await chrome.tabs.query({
-        url: ['https://teams.microsoft.com/*', 'https://teams.live.com/*'],
-        active: true, currentWindow: true,
-    }).catch(() => []);
-
-    // Fallback: use any Teams tab
-    const allTeamsTabs = await chrome.tabs.query({
-        url: ['https://teams.microsoft.com/*', 'https://teams.live.com/*'],
-    });
-
-    const tab = activeTeamsTab || allTeamsTabs[allTeamsTabs.length - 1];
+    const tab = await findMeetingTab();
     if (!tab) {
-        setStatus('No Teams tab found', 'error');
+        setStatus('No meeting tab found', 'error');
         btnRecord.disabled = false;
         return;
     }
 
-    teamsTabId = tab.id;
+    meetingTabId = tab.id;
 
     const result = await bg('startRecording', { tabId: tab.id });
     if (!result.ok) {
@@ -111,14 +265,35 @@ async function startRecording() {
         return;
     }
 
+    // The 'recordingState' broadcast may have got here first
+    if (appState !== 'recording') showRecording({ meetingId: result.meetingId, startTime: Date.now() });
+    // e.g. captions requested but switched off in the meeting
+    if (result.warning) showPlatformBanner('⚠️', result.warning, 'warn');
+    btnRecord.disabled = false;
+}
+
+// A new recording, started here or with the keyboard shortcut
+function showRecording({ meetingId, startTime: startedAt, isPaused = false, pausedAt: pauseStart = null, pausedMs: paused = 0 }) {
     appState = 'recording';
-    startTime = Date.now();
+    startTime = startedAt || Date.now();
+    pausedMs = paused;
+    currentMeetingId = meetingId;
     transcript = [];
+    markers = [];
+    notes = '';
 
     startTimer();
     setRecordingUI();
+    showPaused(isPaused, pauseStart);
+    transcriptTitle.textContent = 'Live Transcript';
+    unloadAudio();
+    renderTranscript(transcript);
     transcriptPanel.style.display = 'block';
-    btnRecord.disabled = false;
+    showLivePanel();
+    showChat(meetingId);
+    generateRow.style.display = 'none';
+    notesPanel.style.display = 'none';
+    historyPanel.style.display = 'none';
 }
 
 async function stopRecording() {
@@ -130,74 +305,226 @@ async function stopRecording() {
 
     stopTimer();
     await bg('stopRecording');
+    showStopped();
+}
 
+function showStopped() {
+    stopTimer();
     appState = 'done';
     setStatus('Recording saved', 'idle');
     setIdleUI();
     btnRecord.disabled = false;
 
     if (transcript.length > 0) {
+        generateLabel.textContent = 'Generate Meeting Notes';
         generateRow.style.display = 'flex';
     }
 }
 
+// ── Pause and bookmarks ────────────────────────────────────────────────────────
+btnPause.addEventListener('click', async () => {
+    btnPause.disabled = true;
+    const result = await bg(pausedAt ? 'resumeRecording' : 'pauseRecording');
+    btnPause.disabled = false;
+    if (!result.ok) setStatus(result.error, 'error');
+});
+
+btnBookmark.addEventListener('click', addBookmark);
+bookmarkLabel.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addBookmark();
+});
+
+async function addBookmark() {
+    const result = await bg('addBookmark', { label: bookmarkLabel.value });
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return;
+    }
+    bookmarkLabel.value = '';
+}
+
+function showPaused(paused, since) {
+    if (paused && !pausedAt) pausedAt = since ?? Date.now();
+    if (!paused && pausedAt) {
+        pausedMs += Date.now() - pausedAt;
+        pausedAt = null;
+    }
+    btnPause.textContent = paused ? '▶ Resume' : '❚❚ Pause';
+    btnPause.title = shortcutTitle(paused ? 'Resume recording' : 'Pause recording', 'toggle-pause');
+    btnPause.classList.toggle('paused', paused);
+    timerDisplay.classList.toggle('paused', paused);
+    setStatus(paused ? 'Paused' : 'Recording', paused ? 'loading' : 'recording');
+    updateTimer();
+}
+
+// Bookmarks and pauses of a meeting record, for renderTranscript()
+function meetingMarkers({ bookmarks = [], pauses = [] }) {
+    return [
+        ...bookmarks.map(b => ({ type: 'bookmark', timestamp: b.timestamp, label: b.label })),
+        ...pauses.map(p => ({ type: 'pause', timestamp: p.start, duration: p.end - p.start })),
+    ];
+}
+
+// Shortcut keys are user-configurable (chrome://extensions/shortcuts), so read them
+async function loadShortcuts() {
+    const commands = await chrome.commands.getAll().catch(() => []);
+    shortcuts = Object.fromEntries(commands.filter(c => c.shortcut).map(c => [c.name, c.shortcut]));
+    btnRecord.title = shortcutTitle('Start or stop recording', 'toggle-recording');
+    btnPause.title = shortcutTitle('Pause recording', 'toggle-pause');
+    btnBookmark.title = shortcutTitle('Bookmark this moment', 'add-bookmark');
+}
+
+function shortcutTitle(text, command) {
+    return shortcuts[command] ? `${text} (${shortcuts[command]})` : text;
+}
+
 // ── Generate notes ─────────────────────────────────────────────────────────────
 btnGenerate.addEventListener('click', async () => {
     if (appState === 'generating') return;
+    beginGeneratingUI('');
+
+    const result = await bg('generateNotes', { meetingId: currentMeetingId, templateId: templateSelect.value });
+    finishGenerating(result);
+});
+
+btnCancel.addEventListener('click', () => {
+    btnCancel.disabled = true;
+    bg('cancelNotes');
+});
+
+function beginGeneratingUI(textSoFar) {
     appState = 'generating';
+    streamedNotes = textSoFar;
     generateLabel.textContent = 'Generating…';
     btnGenerate.disabled = true;
-    setStatus('Summarising with Ollama…', 'loading');
+    templateSelect.disabled = true;
+    btnCancel.disabled = false;
+    btnCancel.style.display = 'flex';
+    setStatus(progressLabel({ stage: 'final' }), 'loading');
+    if (streamedNotes) renderStreamedNotes();
+}
 
-    const result = await bg('generateNotes');
+// Long meetings are summarised in chunks first, then merged (see summarizer.js)
+function progressLabel({ stage, chunk, total }) {
+    if (stage === 'classify') return 'Detecting meeting type…';
+    if (stage === 'map') return `Summarising chunk ${chunk}/${total}…`;
+    if (stage === 'repair') return 'Fixing notes format…';
+    if (stage === 'merge') return `Merging summaries ${chunk}/${total}…`;
+    return `Summarising with ${providerLabel(llmSettings)}…`;
+}
 
-    if (!result.ok) {
-        setStatus('Ollama error — is it running?', 'error');
-        generateLabel.textContent = 'Generate Meeting Notes';
-        btnGenerate.disabled = false;
-        appState = 'done';
+// Tokens arrive far faster than the popup needs to repaint — batch per frame
+function onNotesToken(delta) {
+    streamedNotes += delta;
+    if (renderPending) return;
+    renderPending = true;
+    requestAnimationFrame(() => {
+        renderPending = false;
+        renderStreamedNotes();
+    });
+}
 
-        if (result.error?.includes('localhost')) {
-            notesPanel.style.display = 'block';
-            notesContent.innerHTML = `<pre class="error-msg">Could not reach Ollama.\n\nRun this in a terminal:\n  ollama serve\n  ollama pull llama3.2\n\nThen try again.</pre>`;
-        }
+// The model answers in JSON (rendered to Markdown once complete) — show it raw meanwhile
+function renderStreamedNotes() {
+    notesPanel.style.display = 'block';
+    notesContent.innerHTML = `<pre class="notes-stream">${escHtml(streamedNotes)}</pre>`;
+    notesContent.scrollTop = notesContent.scrollHeight;
+}
+
+function finishGenerating(result) {
+    if (appState !== 'generating') return;  // already handled (response + broadcast)
+    btnGenerate.disabled = false;
+    templateSelect.disabled = false;
+    btnCancel.style.display = 'none';
+
+    if (result.ok) {
+        notes = result.notes;
+        appState = 'notes-ready';
+        const template = templates.find(t => t.id === result.templateId);
+        setStatus(template ? `Notes ready · ${template.name}` : 'Notes ready', 'idle');
+        generateLabel.textContent = '✓ Notes generated';
+        notesPanel.style.display = 'block';
+        renderMarkdown(notes, notesContent);
         return;
     }
 
-    notes = result.notes;
-    appState = 'notes-ready';
-    setStatus('Notes ready', 'idle');
-    generateLabel.textContent = '✓ Notes generated';
-    btnGenerate.disabled = false;
+    appState = 'done';
+    generateLabel.textContent = 'Generate Meeting Notes';
 
-    notesPanel.style.display = 'block';
-    renderMarkdown(notes, notesContent);
-});
+    // Keep whatever streamed before the failure visible (and copyable)
+    if (result.partial) {
+        notes = result.partial;
+        notesPanel.style.display = 'block';
+        notesContent.innerHTML = `<pre class="notes-stream">${escHtml(notes)}</pre>`;
+        setStatus(result.cancelled ? 'Cancelled — partial notes' : 'Stream interrupted — partial notes', 'error');
+        return;
+    }
 
-// ── Download / copy buttons ────────────────────────────────────────────────────
-btnDownloadMd.addEventListener('click', () => download(notes, 'meeting-notes.md', 'text/markdown'));
-btnDownloadTxt.addEventListener('click', () => {
-    const txt = transcript.map(e => `[${new Date(e.timestamp).toLocaleTimeString()}] ${e.speaker}: ${e.text}`).join('\n');
-    download(txt, 'transcript.txt', 'text/plain');
-});
+    if (result.cancelled) {
+        setStatus('Generation cancelled', 'idle');
+        if (notes) renderMarkdown(notes, notesContent);
+        else notesPanel.style.display = 'none';
+        return;
+    }
+
+    setStatus(`${providerLabel(llmSettings)} error — is it running?`, 'error');
+    if (result.error?.startsWith('Could not reach')) {
+        notesPanel.style.display = 'block';
+        notesContent.innerHTML = llmSettings.provider === 'ollama'
+            ? `<pre class="error-msg">Could not reach Ollama.\n\nRun this in a terminal:\n  ollama serve\n  ollama pull ${escHtml(llmSettings.model)}\n\nThen try again.</pre>`
+            : `<pre class="error-msg">${escHtml(result.error)}\n\nCheck the endpoint in ⚙ Settings, then try again.</pre>`;
+    }
+}
+
+// ── Export / copy buttons ──────────────────────────────────────────────────────
+btnDownloadMd.addEventListener('click', () => exportAs('md'));
+btnDownloadTxt.addEventListener('click', () => exportAs('txt'));
 btnCopy.addEventListener('click', async () => {
     await navigator.clipboard.writeText(notes).catch(() => { });
     btnCopy.textContent = '✓';
     setTimeout(() => { btnCopy.textContent = '📋'; }, 1500);
 });
 
-function download(content, filename, type) {
-    const blob = new Blob([content], { type });
+for (const format of EXPORT_FORMATS) {
+    exportSelect.appendChild(Object.assign(document.createElement('option'), { value: format.id, textContent: format.label }));
+}
+exportSelect.addEventListener('change', () => {
+    const format = exportSelect.value;
+    exportSelect.value = '';
+    if (format) exportAs(format);
+});
+
+// Exports the stored meeting, so transcript edits are included
+async function exportAs(format) {
+    const result = await bg('getMeeting', { meetingId: currentMeetingId });
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return;
+    }
+    // Partial notes from a cancelled generation are shown but not stored
+    const meeting = { ...result.meeting, notes: notes || result.meeting.notes };
+    try {
+        const { filename, blob } = exportMeeting(meeting, format);
+        download(blob, filename);
+    } catch (err) {
+        setStatus(err.message, 'error');
+    }
+}
+
+function download(blob, filename) {
     const a = Object.assign(document.createElement('a'), {
         href: URL.createObjectURL(blob),
         download: filename,
     });
     a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
 // ── Live transcript listener ───────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener((msg) => {
-    if (msg.action === 'transcriptUpdate' && msg.entry) {
+    if (msg.action === 'transcriptUpdate' && msg.entry && msg.meetingId === currentMeetingId) {
+        // Already here if an edit's response included it
+        if (transcript.some(e => e.id === msg.entry.id)) return;
         transcript.push(msg.entry);
         appendTranscriptEntry(msg.entry);
         entryCount.textContent = `${transcript.length} entries`;
@@ -205,29 +532,685 @@ chrome.runtime.onMessage.addListener((msg) => {
         currentSpeakerTag.style.display = 'inline-flex';
         currentSpeakerTag.style.background = getSpeakerColour(msg.entry.speaker);
     }
+    if (msg.action === 'notesToken' && msg.meetingId === currentMeetingId && appState === 'generating') {
+        onNotesToken(msg.delta);
+    }
+    if (msg.action === 'liveSummaryUpdate' && msg.meetingId === currentMeetingId && appState === 'recording') {
+        if (msg.liveSummary) renderLiveSummary(msg.liveSummary);
+        if (msg.error) liveSummaryTime.textContent = 'update failed';
+        liveSummaryTime.title = msg.error ?? '';
+        setLiveUpdating(!!msg.updating);
+    }
+    if (msg.action === 'catchUpToken' && msg.meetingId === currentMeetingId && catchUpText !== null) {
+        catchUpText += msg.delta;
+        catchUpContent.innerHTML = `<pre class="notes-stream">${escHtml(catchUpText)}</pre>`;
+    }
+    if (msg.action === 'chatToken' && msg.meetingId === asking?.meetingId) {
+        asking.text += msg.delta;
+        asking.el.textContent = asking.text;
+        chatLog.scrollTop = chatLog.scrollHeight;
+    }
+    if (msg.action === 'notesProgress' && msg.meetingId === currentMeetingId && appState === 'generating') {
+        setStatus(progressLabel(msg), 'loading');
+        // The corrected answer streams in place of the unusable one
+        if (msg.stage === 'repair') streamedNotes = '';
+    }
+    if (msg.action === 'notesDone' && msg.result) {
+        finishGenerating(msg.result);
+    }
+    if (msg.action === 'notesDone' && msg.result?.ok && actionsPanel.style.display !== 'none') {
+        refreshActionItems();
+    }
     if (msg.action === 'modelLoadProgress') {
         setStatus(`Loading Whisper… ${msg.progress}%`, 'loading');
     }
+    if (msg.action === 'retranscribeProgress' && appState === 'retranscribing') {
+        setStatus(`Re-transcribing… ${msg.progress}%`, 'loading');
+    }
+    if (msg.action === 'bookmarkAdded' && msg.meetingId === currentMeetingId) {
+        const marker = meetingMarkers({ bookmarks: [msg.bookmark] })[0];
+        markers.push(marker);
+        appendMarker(marker);
+    }
+    if (msg.action === 'recordingState') {
+        if (msg.isRecording && appState !== 'recording') showRecording(msg);
+        else if (msg.isRecording) showPaused(msg.isPaused, msg.pausedAt);
+        else if (appState === 'recording') showStopped();
+    }
+    if (msg.action === 'transcriptionStats' && appState === 'recording') {
+        showPipelineStats(msg.stats);
+    }
     if (msg.action === 'captureError') {
         setStatus('Capture error: ' + msg.error, 'error');
     }
+    if (msg.action === 'syncUpdate' && historyPanel.style.display !== 'none') {
+        refreshHistory();
+    }
+});
+
+// ── Settings ───────────────────────────────────────────────────────────────────
+btnSettings.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// Applies from the next recording on
+sourceSelect.addEventListener('change', () => {
+    saveSettings({ transcription: { source: sourceSelect.value } });
+});
+
+// ── Note templates ─────────────────────────────────────────────────────────────
+async function loadTemplatePicker(selectedId) {
+    templates = await getTemplates();
+    templateSelect.innerHTML = '';
+    templateSelect.appendChild(Object.assign(document.createElement('option'), {
+        value: AUTO_TEMPLATE_ID,
+        textContent: 'Auto-detect',
+    }));
+    for (const t of templates) {
+        templateSelect.appendChild(Object.assign(document.createElement('option'), {
+            value: t.id,
+            textContent: t.name,
+            title: t.description,
+        }));
+    }
+    selectTemplate(selectedId);
+}
+
+function selectTemplate(id) {
+    const known = id === AUTO_TEMPLATE_ID || templates.some(t => t.id === id);
+    templateSelect.value = known ? id : DEFAULT_TEMPLATE_ID;
+}
+
+// The last template picked becomes the default for the next meeting
+templateSelect.addEventListener('change', () => {
+    saveSettings({ notes: { templateId: templateSelect.value } });
+});
+
+// ── Meeting history ───────────────────────────────────────────────────────────
+btnHistory.addEventListener('click', () => {
+    const open = historyPanel.style.display === 'none';
+    historyPanel.style.display = open ? 'block' : 'none';
+    if (open) refreshHistory();
+});
+
+async function refreshHistory() {
+    const result = await bg('listMeetings');
+    if (!result?.ok) {
+        setStatus('Could not load meetings', 'error');
+        return;
+    }
+    renderHistory(result.meetings);
+}
+
+function renderHistory(meetings) {
+    historyList.innerHTML = '';
+    historyCount.textContent = `${meetings.length} meetings`;
+    if (!meetings.length) {
+        historyList.innerHTML = '<div class="history-empty">No saved meetings yet</div>';
+        return;
+    }
+    meetings.forEach(m => historyList.appendChild(historyItem(m)));
+}
+
+function historyItem(meeting) {
+    const when = new Date(meeting.startTime).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const el = document.createElement('div');
+    el.className = 'history-item';
+    el.innerHTML = `
+    <div class="history-main" title="Open meeting">
+      <div class="history-title">${escHtml(meeting.title)}</div>
+      <div class="history-meta">${when} · ${meeting.entryCount} entries${meeting.hasNotes ? ' · notes' : ''}${meeting.hasAudio ? ' · audio' : ''}${syncBadge(meeting.sync)}</div>
+    </div>
+    <div class="panel-actions">
+      <button class="icon-btn" data-act="rename" title="Rename">✎</button>
+      <button class="icon-btn" data-act="delete" title="Delete">🗑</button>
+    </div>
+  `;
+    el.querySelector('.history-main').addEventListener('click', () => openMeeting(meeting.id));
+    el.querySelector('[data-act="rename"]').addEventListener('click', () => startRename(el, meeting));
+    el.querySelector('.sync-retry')?.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        e.target.disabled = true;
+        const result = await bg('retrySync', { meetingId: meeting.id });
+        if (!result.ok) setStatus(result.error, 'error');
+        refreshHistory();
+    });
+
+    // Two-step delete: first click arms the button, second click deletes
+    const btnDelete = el.querySelector('[data-act="delete"]');
+    btnDelete.addEventListener('click', async () => {
+        if (!btnDelete.dataset.armed) {
+            btnDelete.dataset.armed = 'true';
+            btnDelete.textContent = 'Delete?';
+            setTimeout(() => { delete btnDelete.dataset.armed; btnDelete.textContent = '🗑'; }, 3000);
+            return;
+        }
+        const result = await bg('deleteMeeting', { meetingId: meeting.id });
+        if (!result.ok) {
+            setStatus(result.error, 'error');
+            return;
+        }
+        if (meeting.id === currentMeetingId) clearMeetingView();
+        refreshHistory();
+        if (actionsPanel.style.display !== 'none') refreshActionItems();
+    });
+    return el;
+}
+
+// Backend sync state; failed uploads get a retry button
+function syncBadge(sync) {
+    if (!sync) return '';
+    if (sync.status === 'synced') {
+        return ` · <span class="sync-badge synced" title="Synced to Meetily ${new Date(sync.syncedAt).toLocaleString()}">✓ synced</span>`;
+    }
+    if (sync.status === 'failed') {
+        return ` · <button class="sync-badge failed sync-retry" title="${escHtml(sync.error ?? '')} — click to retry now">⚠ sync failed</button>`;
+    }
+    return ' · <span class="sync-badge pending" title="Waiting to upload to Meetily">⟳ syncing</span>';
+}
+
+function startRename(el, meeting) {
+    const input = Object.assign(document.createElement('input'), {
+        className: 'history-rename',
+        value: meeting.title,
+    });
+    el.querySelector('.history-title').replaceWith(input);
+    input.addEventListener('click', e => e.stopPropagation());
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = async (save) => {
+        if (finished) return;
+        finished = true;
+        const title = input.value.trim();
+        if (save && title && title !== meeting.title) {
+            const result = await bg('renameMeeting', { meetingId: meeting.id, title });
+            if (!result.ok) setStatus(result.error, 'error');
+            else if (meeting.id === currentMeetingId) transcriptTitle.textContent = result.meeting.title;
+            if (result.ok && actionsPanel.style.display !== 'none') refreshActionItems();
+        }
+        refreshHistory();
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+// ── Transcript import ─────────────────────────────────────────────────────────
+btnImport.addEventListener('click', () => {
+    if (appState === 'recording' || appState === 'stopping') {
+        setStatus('Stop recording to import a transcript', 'error');
+        return;
+    }
+    if (appState === 'generating') return;
+    importFile.click();
+});
+
+importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';   // picking the same file again fires change again
+    if (!file) return;
+
+    let parsed;
+    try {
+        parsed = await parseTranscriptFile(file);
+    } catch (err) {
+        setStatus(err.message, 'error');
+        return;
+    }
+    const result = await bg('importTranscript', { transcript: { ...parsed, fileName: file.name } });
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return;
+    }
+    showMeeting(result.meeting);
+    setStatus(`Imported ${result.meeting.transcript.length} entries`, 'idle');
+    historyPanel.style.display = 'none';
+    refreshHistory();
+});
+
+async function openMeeting(meetingId) {
+    if (appState === 'recording' || appState === 'stopping') {
+        setStatus('Stop recording to open past meetings', 'error');
+        return;
+    }
+    if (appState === 'generating') return;
+
+    const result = await bg('getMeeting', { meetingId });
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return;
+    }
+    showMeeting(result.meeting);
+    historyPanel.style.display = 'none';
+    actionsPanel.style.display = 'none';
+}
+
+function showMeeting(meeting) {
+    currentMeetingId = meeting.id;
+    transcript = meeting.transcript;
+    markers = meetingMarkers(meeting);
+    notes = meeting.notes || '';
+
+    transcriptTitle.textContent = meeting.title;
+    transcriptPanel.style.display = 'block';
+    renderTranscript(transcript, markers);
+    showChat(meeting.id);
+
+    generateLabel.textContent = notes ? 'Regenerate Meeting Notes' : 'Generate Meeting Notes';
+    if (meeting.templateId) selectTemplate(meeting.templateId);
+    generateRow.style.display = transcript.length ? 'flex' : 'none';
+
+    if (notes) {
+        notesPanel.style.display = 'block';
+        renderMarkdown(notes, notesContent);
+    } else {
+        notesPanel.style.display = 'none';
+    }
+
+    appState = notes ? 'notes-ready' : 'done';
+    setStatus('Saved meeting', 'idle');
+    loadAudio(meeting);
+}
+
+function clearMeetingView() {
+    currentMeetingId = null;
+    transcript = [];
+    markers = [];
+    notes = '';
+    transcriptPanel.style.display = 'none';
+    generateRow.style.display = 'none';
+    notesPanel.style.display = 'none';
+    chatPanel.style.display = 'none';
+    unloadAudio();
+    appState = 'idle';
+    setStatus('Ready', 'idle');
+}
+
+// ── Action items ───────────────────────────────────────────────────────────────
+btnActions.addEventListener('click', () => {
+    const open = actionsPanel.style.display === 'none';
+    actionsPanel.style.display = open ? 'block' : 'none';
+    if (open) refreshActionItems();
+});
+
+async function refreshActionItems() {
+    const result = await bg('listActionItems');
+    if (!result?.ok) {
+        setStatus('Could not load action items', 'error');
+        return;
+    }
+    actionItems = result.items;
+    renderActionItems();
+}
+
+ownerFilter.addEventListener('change', renderActionItems);
+showDone.addEventListener('change', renderActionItems);
+
+// Open items first, soonest due first (undated last), then newest meeting first
+function visibleActionItems() {
+    return actionItems
+        .filter(item => (!ownerFilter.value || item.owner === ownerFilter.value) && (showDone.checked || !item.done))
+        .sort((a, b) => (a.done - b.done)
+            || (a.dueDate ?? '9999').localeCompare(b.dueDate ?? '9999')
+            || (b.meetingStartTime ?? 0) - (a.meetingStartTime ?? 0));
+}
+
+function renderActionItems() {
+    // Owners of open items, plus the one chosen even if all theirs are done
+    const owners = [...new Set(actionItems.filter(item => !item.done).map(item => item.owner))];
+    if (ownerFilter.value && !owners.includes(ownerFilter.value)) owners.push(ownerFilter.value);
+    const selected = ownerFilter.value;
+    ownerFilter.innerHTML = '<option value="">Everyone</option>';
+    for (const owner of owners.sort((a, b) => a.localeCompare(b))) {
+        ownerFilter.appendChild(Object.assign(document.createElement('option'), { value: owner, textContent: owner }));
+    }
+    ownerFilter.value = selected;
+
+    const items = visibleActionItems();
+    actionsCount.textContent = `${items.filter(item => !item.done).length} open`;
+    actionsList.innerHTML = '';
+    if (!items.length) {
+        actionsList.innerHTML = `<div class="history-empty">${actionItems.length ? 'Nothing open here' : 'Action items appear here once notes are generated'}</div>`;
+        return;
+    }
+    items.forEach(item => actionsList.appendChild(actionItemElement(item)));
+}
+
+function actionItemElement(item) {
+    const today = new Date().toLocaleDateString('en-CA');   // YYYY-MM-DD
+    const overdue = !item.done && item.dueDate && item.dueDate < today;
+    const el = document.createElement('div');
+    el.className = `history-item action-item${item.done ? ' done' : ''}`;
+    el.innerHTML = `
+    <input type="checkbox" class="action-check" title="Done"${item.done ? ' checked' : ''}>
+    <div class="action-main">
+      <div class="action-task">${escHtml(item.task)}</div>
+      <div class="history-meta">${escHtml(item.owner)} · <span class="${overdue ? 'action-overdue' : ''}">due ${escHtml(dueLabel(item))}</span> · <button class="action-meeting" title="Open meeting">${escHtml(item.meetingTitle)}</button></div>
+      ${item.quote ? `<div class="action-quote">“${escHtml(item.quote)}”</div>` : ''}
+    </div>
+  `;
+    el.querySelector('.action-meeting').addEventListener('click', () => openMeeting(item.meetingId));
+
+    const check = el.querySelector('.action-check');
+    check.addEventListener('change', async () => {
+        const result = await bg('setActionItemDone', { id: item.id, done: check.checked });
+        if (!result.ok) {
+            check.checked = !check.checked;
+            setStatus(result.error, 'error');
+            return;
+        }
+        Object.assign(item, result.item);
+        renderActionItems();
+    });
+    return el;
+}
+
+// "Friday (Oct 23)" — the date it was read as, when the notes named a day
+function dueLabel(item) {
+    if (!item.dueDate) return item.due;
+    const [y, m, d] = item.dueDate.split('-').map(Number);
+    const date = new Date(y, m - 1, d).toLocaleDateString([], { month: 'short', day: 'numeric' });
+    return item.due.includes(item.dueDate) ? date : `${item.due} (${date})`;
+}
+
+btnActionsIcs.addEventListener('click', () => exportActions('ics'));
+btnActionsCsv.addEventListener('click', () => exportActions('csv'));
+
+// Exports what the list shows — one owner's items, done ones only if shown
+function exportActions(format) {
+    try {
+        const { filename, blob } = exportActionItems(visibleActionItems(), format);
+        download(blob, filename);
+    } catch (err) {
+        setStatus(err.message, 'error');
+    }
+}
+
+// ── Recording playback ─────────────────────────────────────────────────────────
+async function loadAudio(meeting) {
+    unloadAudio();
+    const record = meeting.audio && await getMeetingAudio(meeting.id).catch(() => null);
+    if (!record || meeting.id !== currentMeetingId) return;
+
+    audioStartedAt = record.startedAt;
+    audioPlayer.src = URL.createObjectURL(record.blob);
+    audioBar.style.display = 'block';
+    btnRetranscribe.style.display = 'inline-block';
+    transcriptFeed.classList.add('seekable');
+}
+
+function unloadAudio() {
+    if (audioPlayer.src) {
+        audioPlayer.pause();
+        URL.revokeObjectURL(audioPlayer.src);
+        audioPlayer.removeAttribute('src');
+    }
+    audioStartedAt = null;
+    audioBar.style.display = 'none';
+    btnRetranscribe.style.display = 'none';
+    transcriptFeed.classList.remove('seekable');
+}
+
+// MediaRecorder WebM has no duration in its header; seeking past the end makes Chrome work it out
+audioPlayer.addEventListener('loadedmetadata', () => {
+    if (audioPlayer.duration !== Infinity) return;
+    audioPlayer.addEventListener('timeupdate', () => { audioPlayer.currentTime = 0; }, { once: true });
+    audioPlayer.currentTime = 1e101;
+});
+
+transcriptFeed.addEventListener('click', (e) => {
+    const el = e.target.closest('.transcript-entry, .transcript-marker.bookmark');
+    if (!el || audioStartedAt === null) return;
+    if (e.target.closest('button, input, textarea') || el.classList.contains('editing')) return;
+    const timestamp = el.dataset.timestamp
+        ? Number(el.dataset.timestamp)
+        : transcript.find(t => String(t.id) === el.dataset.id)?.timestamp;
+    if (timestamp != null) seekAudio(timestamp);
+});
+
+function seekAudio(timestamp) {
+    // Start a moment early so the first word is not clipped
+    audioPlayer.currentTime = Math.max(0, (timestamp - audioStartedAt) / 1000 - 0.5);
+    audioPlayer.play().catch(err => setStatus(`Could not play the recording: ${err.message}`, 'error'));
+}
+
+// Highlight the entry being played
+audioPlayer.addEventListener('timeupdate', () => {
+    if (audioStartedAt === null) return;
+    const now = audioStartedAt + audioPlayer.currentTime * 1000;
+    const current = transcript.filter(t => t.timestamp <= now).pop();
+    for (const el of transcriptFeed.querySelectorAll('.transcript-entry')) {
+        el.classList.toggle('playing', !audioPlayer.paused && el.dataset.id === String(current?.id));
+    }
+});
+
+btnRetranscribe.addEventListener('click', async () => {
+    if (appState === 'generating' || appState === 'retranscribing') return;
+    if (!confirm('Re-transcribe the recording with the larger Whisper model? The current transcript will be replaced. This can take several minutes.')) return;
+
+    const previousState = appState;
+    appState = 'retranscribing';
+    btnRetranscribe.disabled = true;
+    btnGenerate.disabled = true;
+    setStatus('Re-transcribing…', 'loading');
+
+    const result = await bg('retranscribe', { meetingId: currentMeetingId });
+    btnRetranscribe.disabled = false;
+    btnGenerate.disabled = false;
+    appState = previousState;
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return;
+    }
+    if (result.meeting.id === currentMeetingId) showMeeting(result.meeting);
+    setStatus(`Re-transcribed · ${result.meeting.transcript.length} entries`, 'idle');
+});
+
+// ── Live summary & catch-up ────────────────────────────────────────────────────
+function showLivePanel() {
+    livePanel.style.display = 'block';
+    renderLiveSummary(null);
+    setLiveUpdating(false);
+    catchUpContent.style.display = 'none';
+}
+
+function renderLiveSummary(summary) {
+    if (!summary) {
+        liveSummaryTime.textContent = '';
+        const hint = liveSummaryMinutes > 0
+            ? `The summary appears here after a few minutes and is updated every ${liveSummaryMinutes} min.`
+            : 'The live summary is off in Settings — press ↻ to update it now.';
+        liveSummaryContent.innerHTML = `<div class="panel-empty">${hint}</div>`;
+        return;
+    }
+    liveSummaryTime.textContent = `updated ${new Date(summary.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    renderMarkdown(summary.text, liveSummaryContent);
+}
+
+function setLiveUpdating(on) {
+    btnLiveRefresh.disabled = on;
+    btnLiveRefresh.textContent = on ? '…' : '↻';
+}
+
+btnLiveRefresh.addEventListener('click', async () => {
+    setLiveUpdating(true);
+    const result = await bg('updateLiveSummary');
+    setLiveUpdating(false);
+    if (!result.ok && !result.cancelled) setStatus(result.error, 'error');
+});
+
+btnCatchUp.addEventListener('click', async () => {
+    const minutes = Number(catchUpMinutes.value);
+    catchUpText = '';
+    btnCatchUp.style.display = 'none';
+    btnCatchUpCancel.style.display = 'flex';
+    btnCatchUpCancel.disabled = false;
+    catchUpContent.style.display = 'block';
+    catchUpContent.innerHTML = '<div class="panel-empty">Catching up…</div>';
+
+    const result = await bg('catchUp', { meetingId: currentMeetingId, minutes });
+    catchUpText = null;
+    btnCatchUp.style.display = 'flex';
+    btnCatchUpCancel.style.display = 'none';
+    if (result.ok) {
+        const time = ts => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        renderMarkdown(`**Last ${result.minutes} minutes** (${time(result.from)}–${time(result.to)})\n\n${result.summary}`, catchUpContent);
+    } else if (result.cancelled) {
+        catchUpContent.style.display = 'none';
+    } else {
+        catchUpContent.innerHTML = `<div class="error-msg">${escHtml(result.error)}</div>`;
+    }
+});
+
+btnCatchUpCancel.addEventListener('click', () => {
+    btnCatchUpCancel.disabled = true;
+    bg('cancelCatchUp');
+});
+
+// ── Ask this meeting ───────────────────────────────────────────────────────────
+// The conversation belongs to one meeting; opening another starts afresh
+function showChat(meetingId) {
+    if (meetingId !== chatMeetingId) {
+        chatMeetingId = meetingId;
+        clearChat();
+    }
+    chatPanel.style.display = 'block';
+}
+
+function clearChat() {
+    chatHistory = [];
+    chatLog.innerHTML = '<div class="chat-empty">Ask about decisions, who said what, or what you missed. Answers cite the transcript.</div>';
+}
+
+btnChatClear.addEventListener('click', () => {
+    if (!asking) clearChat();
+});
+
+btnAskCancel.addEventListener('click', () => {
+    btnAskCancel.disabled = true;
+    bg('cancelQuestion');
+});
+
+chatForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const question = chatInput.value.trim();
+    if (!question || asking || !currentMeetingId) return;
+
+    chatInput.value = '';
+    chatLog.querySelector('.chat-empty')?.remove();
+    appendChatMessage('question').textContent = question;
+    const el = appendChatMessage('answer pending');
+    el.textContent = '…';
+    asking = { meetingId: currentMeetingId, text: '', el };
+    setAsking(true);
+
+    const result = await bg('askMeeting', { meetingId: asking.meetingId, question, history: chatHistory });
+    const { meetingId } = asking;
+    asking = null;
+    setAsking(false);
+    if (meetingId !== chatMeetingId) return;   // another meeting was opened meanwhile
+
+    el.classList.remove('pending');
+    if (result.ok) {
+        chatHistory.push({ question, answer: result.answer });
+        el.innerHTML = answerHtml(result.answer, result.citations);
+    } else if (result.partial) {
+        el.innerHTML = `${answerHtml(result.partial, citedEntries(result.partial, transcript))}<div class="chat-note">${escHtml(result.cancelled ? 'Stopped' : result.error)}</div>`;
+    } else {
+        el.classList.add('error');
+        el.textContent = result.error;
+    }
+    chatLog.scrollTop = chatLog.scrollHeight;
+});
+
+function setAsking(on) {
+    btnAsk.style.display = on ? 'none' : 'flex';
+    btnAskCancel.style.display = on ? 'flex' : 'none';
+    btnAskCancel.disabled = false;
+}
+
+function appendChatMessage(kind) {
+    const el = document.createElement('div');
+    el.className = `chat-message ${kind}`;
+    chatLog.appendChild(el);
+    chatLog.scrollTop = chatLog.scrollHeight;
+    return el;
+}
+
+// "[#12, #15]" in the answer → buttons showing each entry's time
+function answerHtml(answer, citations) {
+    const cited = new Map(citations.map(c => [c.id, c]));
+    return escHtml(answer).replace(/\[([^\]]*#\d+[^\]]*)\]/g, (group, inner) => {
+        const buttons = [...inner.matchAll(/#(\d+)/g)]
+            .map(([, id]) => cited.get(Number(id)))
+            .filter(Boolean)
+            .map(c => `<button class="cite" data-id="${c.id}" title="#${c.id} · ${escHtml(c.speaker)} · ${new Date(c.timestamp).toLocaleTimeString()}">${new Date(c.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</button>`);
+        return buttons.length ? buttons.join('') : group;
+    });
+}
+
+// Scroll the cited entry into view, flash it and play it if there is a recording
+chatLog.addEventListener('click', (e) => {
+    const button = e.target.closest('.cite');
+    if (!button || chatMeetingId !== currentMeetingId) return;
+    const el = transcriptFeed.querySelector(`.transcript-entry[data-id="${button.dataset.id}"]`);
+    if (!el) {
+        setStatus('That entry is no longer in the transcript', 'error');
+        return;
+    }
+    el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    el.classList.add('cited');
+    setTimeout(() => el.classList.remove('cited'), 2000);
+    const entry = transcript.find(t => String(t.id) === button.dataset.id);
+    if (entry && audioStartedAt !== null) seekAudio(entry.timestamp);
 });
 
 // ── Transcript rendering ───────────────────────────────────────────────────────
-function renderTranscript(entries) {
+// Entries and markers ({ type: 'bookmark' | 'pause', timestamp, … }) in time order
+function renderTranscript(entries, marks = []) {
     transcriptFeed.innerHTML = '';
-    entries.forEach(appendTranscriptEntry);
+    const items = [...entries, ...marks].sort((a, b) => a.timestamp - b.timestamp);
+    for (const item of items) {
+        if (item.type) appendMarker(item);
+        else appendTranscriptEntry(item);
+    }
     entryCount.textContent = `${entries.length} entries`;
 }
 
+function appendMarker(marker) {
+    const t = new Date(marker.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const el = document.createElement('div');
+    el.className = `transcript-marker ${marker.type}`;
+    el.dataset.timestamp = marker.timestamp;
+    const text = marker.type === 'bookmark'
+        ? `🔖 ${marker.label ? escHtml(marker.label) : 'Bookmark'}`
+        : `❚❚ Paused for ${formatDuration(marker.duration)}`;
+    el.innerHTML = `<span>${text}</span><span class="entry-time">${t}</span>`;
+    transcriptFeed.appendChild(el);
+    transcriptFeed.scrollTop = transcriptFeed.scrollHeight;
+}
+
 function appendTranscriptEntry(entry) {
     const t = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     const el = document.createElement('div');
     el.className = 'transcript-entry';
+    el.dataset.id = entry.id;
     const colour = getSpeakerColour(entry.speaker);
+    // English is the norm; other languages are tagged
+    const language = entry.language && entry.language !== 'en'
+        ? `<span class="entry-language" title="${escHtml(WHISPER_LANGUAGES[entry.language] ?? entry.language)}">${escHtml(entry.language)}</span>`
+        : '';
     el.innerHTML = `
     <div class="entry-header">
-      <span class="speaker-badge" style="background:${colour}22;color:${colour};border-color:${colour}44">${entry.speaker}</span>
+      <button class="speaker-badge" data-act="speaker" title="Change speaker" style="background:${colour}22;color:${colour};border-color:${colour}44">${escHtml(entry.speaker)}</button>
+      ${language}
+      <span class="entry-actions">
+        <button class="entry-btn" data-act="edit" title="Edit or split the text">✎</button>
+        <button class="entry-btn" data-act="merge" title="Merge with the next entry">⤓</button>
+        <button class="entry-btn" data-act="delete" title="Delete entry">🗑</button>
+      </span>
       <span class="entry-time">${t}</span>
     </div>
     <div class="entry-text">${escHtml(entry.text)}</div>
@@ -236,41 +1219,140 @@ function appendTranscriptEntry(entry) {
     transcriptFeed.scrollTop = transcriptFeed.scrollHeight;
 }
 
-// ── Markdown renderer (lightweight, no deps) ──────────────────────────────────
+// ── Transcript editing ─────────────────────────────────────────────────────────
+transcriptFeed.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-act]');
+    const el = button?.closest('.transcript-entry');
+    if (!el) return;
+    const entry = transcript.find(t => String(t.id) === el.dataset.id);
+    if (!entry) return;
+
+    switch (button.dataset.act) {
+        case 'speaker': return startSpeakerEdit(el, entry);
+        case 'edit': return startTextEdit(el, entry);
+        case 'merge': return editTranscript({ type: 'merge', id: entry.id });
+        case 'delete': return armDelete(button, entry);
+    }
+});
+
+async function editTranscript(edit) {
+    const result = await bg('editTranscript', { meetingId: currentMeetingId, edit });
+    if (!result.ok) {
+        setStatus(result.error, 'error');
+        return false;
+    }
+    transcript = result.transcript;
+    renderTranscriptInPlace();
+    return true;
+}
+
+// Enter reassigns this entry; "All" renames the speaker throughout the meeting
+function startSpeakerEdit(el, entry) {
+    speakerOptions.innerHTML = '';
+    for (const name of new Set(transcript.map(e => e.speaker))) {
+        speakerOptions.appendChild(Object.assign(document.createElement('option'), { value: name }));
+    }
+    const form = document.createElement('span');
+    form.className = 'speaker-edit';
+    form.innerHTML = `
+      <input class="speaker-input" list="speakerOptions" spellcheck="false">
+      <button class="entry-btn" title="Rename ${escHtml(entry.speaker)} in every entry">All</button>
+    `;
+    const input = form.querySelector('input');
+    const btnAll = form.querySelector('button');
+    input.value = entry.speaker;
+    el.querySelector('.speaker-badge').replaceWith(form);
+    el.classList.add('editing');
+    input.focus();
+    input.select();
+
+    // scope: 'entry' | 'all', or null to cancel
+    let finished = false;
+    const finish = async (scope) => {
+        if (finished) return;
+        finished = true;
+        const name = input.value.trim();
+        if (!scope || !name || name === entry.speaker) return renderTranscriptInPlace();
+        const edit = scope === 'all'
+            ? { type: 'renameSpeaker', from: entry.speaker, to: name }
+            : { type: 'speaker', id: entry.id, speaker: name };
+        if (!await editTranscript(edit)) renderTranscriptInPlace();
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish('entry');
+        if (e.key === 'Escape') finish(null);
+    });
+    input.addEventListener('blur', () => finish('entry'));
+    // Keep the input focused, so its blur does not save first
+    btnAll.addEventListener('mousedown', e => e.preventDefault());
+    btnAll.addEventListener('click', () => finish('all'));
+}
+
+// Enter saves, Shift+Enter adds a line, Escape cancels; "Split" cuts at the cursor
+function startTextEdit(el, entry) {
+    const textEl = el.querySelector('.entry-text');
+    const editor = document.createElement('div');
+    editor.className = 'entry-editor';
+    editor.innerHTML = `
+      <textarea class="entry-textarea" rows="3"></textarea>
+      <div class="entry-edit-actions">
+        <button class="entry-btn" data-edit="split" title="Split the entry at the cursor">✂ Split here</button>
+        <button class="entry-btn" data-edit="cancel">Cancel</button>
+        <button class="entry-btn" data-edit="save">Save</button>
+      </div>
+    `;
+    const textarea = editor.querySelector('textarea');
+    textarea.value = entry.text;
+    textEl.replaceWith(editor);
+    el.classList.add('editing');
+    textarea.focus();
+
+    const save = async () => {
+        const text = textarea.value.trim();
+        if (text === entry.text) return renderTranscriptInPlace();
+        await editTranscript({ type: 'text', id: entry.id, text });
+    };
+    const split = async () => {
+        const offset = textarea.selectionStart;
+        const text = textarea.value;
+        if (text.trim() !== entry.text && !await editTranscript({ type: 'text', id: entry.id, text })) return;
+        // Saving the text trims it — keep the cursor on the same character
+        await editTranscript({ type: 'split', id: entry.id, offset: offset - (text.length - text.trimStart().length) });
+    };
+
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            save();
+        }
+        if (e.key === 'Escape') renderTranscriptInPlace();
+    });
+    editor.querySelector('[data-edit="save"]').addEventListener('click', save);
+    editor.querySelector('[data-edit="cancel"]').addEventListener('click', renderTranscriptInPlace);
+    editor.querySelector('[data-edit="split"]').addEventListener('click', split);
+}
+
+// Two-step delete: first click arms the button, second click deletes
+function armDelete(button, entry) {
+    if (!button.dataset.armed) {
+        button.dataset.armed = 'true';
+        button.textContent = 'Delete?';
+        setTimeout(() => { delete button.dataset.armed; button.textContent = '🗑'; }, 3000);
+        return;
+    }
+    editTranscript({ type: 'delete', ids: [entry.id] });
+}
+
+// Throw away open editors without losing the reader's place
+function renderTranscriptInPlace() {
+    const scroll = transcriptFeed.scrollTop;
+    renderTranscript(transcript, markers);
+    transcriptFeed.scrollTop = scroll;
+}
+
+// ── Markdown ───────────────────────────────────────────────────────────────────
 function renderMarkdown(md, container) {
-    let html = md
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        // headings
-        .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-        .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-        .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-        // bold
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/__(.+?)__/g, '<strong>$1</strong>')
-        // italic
-        .replace(/\*(.+?)\*/g, '<em>$1</em>')
-        // table rows (pipe syntax)
-        .replace(/^\|(.+)\|$/gm, (_, row) => {
-            const cells = row.split('|').map(c => c.trim());
-            const isHeader = cells.every(c => /^-+$/.test(c));
-            if (isHeader) return '';
-            return '<tr>' + cells.map(c => `<td>${c}</td>`).join('') + '</tr>';
-        })
-        // bullets
-        .replace(/^- (.+)$/gm, '<li>$1</li>')
-        // paragraphs
-        .replace(/\n{2,}/g, '</p><p>')
-        // line breaks
-        .replace(/\n/g, '<br>');
-
-    // Wrap bare <tr> in table
-    html = html.replace(/(<tr>[\s\S]*?<\/tr>)+/g, m => `<table>${m}</table>`);
-    // Wrap <li> in ul
-    html = html.replace(/(<li>[\s\S]*?<\/li>)+/g, m => `<ul>${m}</ul>`);
-
-    container.innerHTML = `<div class="notes-body"><p>${html}</p></div>`;
+    container.innerHTML = `<div class="notes-body">${markdownToHtml(md)}</div>`;
 }
 
 // ── UI state helpers ───────────────────────────────────────────────────────────
@@ -279,7 +1361,9 @@ function setRecordingUI() {
     btnRecord.classList.add('btn-stop');
     btnIcon.textContent = '■';
     btnLabel.textContent = 'Stop Recording';
+    sourceSelect.disabled = true;
     timer.style.display = 'flex';
+    recordActions.style.display = 'flex';
     setStatus('Recording', 'recording');
 }
 
@@ -287,7 +1371,16 @@ function setIdleUI() {
     btnRecord.classList.remove('btn-stop');
     btnIcon.textContent = '●';
     btnLabel.textContent = 'Start Recording';
+    sourceSelect.disabled = false;
     timer.style.display = 'none';
+    recordActions.style.display = 'none';
+    pipelineStats.style.display = 'none';
+    btnPause.textContent = '❚❚ Pause';
+    btnPause.classList.remove('paused');
+    timerDisplay.classList.remove('paused');
+    livePanel.style.display = 'none';
+    pausedAt = null;
+    pausedMs = 0;
 }
 
 function setStatus(text, type) {
@@ -295,15 +1388,33 @@ function setStatus(text, type) {
     statusDot.className = 'status-dot ' + type;
 }
 
+// Whisper backlog: how far behind the meeting the live transcript is
+function showPipelineStats({ queued, lagMs, rtf, dropped, droppedSeconds }) {
+    const behind = queued > 1 || lagMs > 10000 || dropped > 0;
+    pipelineStats.textContent = `lag ${(lagMs / 1000).toFixed(1)} s · ${queued} queued`;
+    pipelineStats.classList.toggle('behind', behind);
+    pipelineStats.title = [
+        rtf == null ? null : `Whisper runs at ${rtf.toFixed(2)}× real time`,
+        dropped ? `Skipped ${dropped} utterance${dropped === 1 ? '' : 's'} (${Math.round(droppedSeconds)} s) to keep up` : null,
+    ].filter(Boolean).join('\n');
+    pipelineStats.style.display = '';
+}
+
 // ── Timer ──────────────────────────────────────────────────────────────────────
 function startTimer() {
     stopTimer();
-    timerInterval = setInterval(() => {
-        const s = Math.floor((Date.now() - startTime) / 1000);
-        const m = Math.floor(s / 60).toString().padStart(2, '0');
-        const sec = (s % 60).toString().padStart(2, '0');
-        timerDisplay.textContent = `${m}:${sec}`;
-    }, 1000);
+    updateTimer();
+    timerInterval = setInterval(updateTimer, 1000);
+}
+
+// Time recorded so far — paused time does not count
+function updateTimer() {
+    if (!startTime) return;
+    const now = Date.now();
+    const s = Math.floor((now - startTime - pausedMs - (pausedAt ? now - pausedAt : 0)) / 1000);
+    const m = Math.floor(s / 60).toString().padStart(2, '0');
+    const sec = (s % 60).toString().padStart(2, '0');
+    timerDisplay.textContent = `${m}:${sec}`;
 }
 function stopTimer() {
     if (timerInterval) { clearInterval(timerInterval); timerInterval = null; }
@@ -314,8 +1425,16 @@ function bg(action, data = {}) {
     return chrome.runtime.sendMessage({ action, ...data });
 }
 
+// 95000 → "1 min 35 s"
+function formatDuration(ms) {
+    const s = Math.round(ms / 1000);
+    if (s < 60) return `${s} s`;
+    return s % 60 ? `${Math.floor(s / 60)} min ${s % 60} s` : `${s / 60} min`;
+}
+
+// Also used inside attribute values, so quotes are escaped too
 function escHtml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 // ── Bootstrap ──────────────────────────────────────────────────────────────────
@@ -0,0 +1,111 @@
+/**
+ * reconcile.js — Merge transcript sources that hear the same speech
+ *
+ * Captions + Whisper ("both" mode): captions are the better text, so they
+ * always go into the transcript. Whisper turns are held back for a few
+ * seconds — captions appear with a lag — and are only kept when no caption
+ * line covers their stretch of audio, filling the gaps where captions missed
+ * someone (e.g. captions paused or a dropped line).
+ *
+ * Tab + microphone: without headphones the mic also picks up the meeting
+ * audio from the speakers. Echo cancellation removes most of it; a mic turn
+ * whose words were just heard on the tab channel is the rest, and is dropped.
+ *
+ * Used by background.js only.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+export const WHISPER_HOLD_MS = 8000;  // how long a Whisper turn waits for captions to catch up
+const CAPTION_LEAD_MS = 2500;  // captions show up this long after the words were said
+const CAPTION_TAIL_MS = 1000;
+const COVERED_RATIO = 0.5;     // share of a Whisper turn captions must cover to drop it
+const RETAIN_MS = 2 * 60 * 1000;
+
+const ECHO_WINDOW_MS = 2000;    // mic words this close to the same tab words are echo
+const ECHO_RATIO = 0.6;        // share of a mic turn's words heard on the tab to drop it
+const TAB_WORDS_RETAIN_MS = 60 * 1000;
+
+let captionSpans = new Map();  // lineId (or entry key) → [start, end]
+let held = [];                 // [{ turn, releaseAt }]
+let tabWords = [];             // [{ word, at }] recently heard on the tab channel
+
+export function resetReconciler() {
+    captionSpans = new Map();
+    held = [];
+    tabWords = [];
+}
+
+/** A caption line still being spoken ({ lineId, start, end }) or a finished caption entry. */
+export function noteCaption({ lineId, start, end, timestamp, endTimestamp }) {
+    const from = start ?? timestamp;
+    const to = end ?? endTimestamp ?? from;
+    const key = lineId ?? `entry-${from}`;
+    captionSpans.set(key, [from - CAPTION_LEAD_MS, to + CAPTION_TAIL_MS]);
+
+    const cutoff = to - RETAIN_MS;
+    for (const [k, [, spanEnd]] of captionSpans) {
+        if (spanEnd < cutoff) captionSpans.delete(k);
+    }
+}
+
+/** Queue a Whisper turn ({ timestamp, endTimestamp, … }) for WHISPER_HOLD_MS. */
+export function holdWhisperTurn(turn, now = Date.now()) {
+    held.push({ turn, releaseAt: now + WHISPER_HOLD_MS });
+}
+
+/**
+ * Whisper turns whose hold has expired (all of them with `flush`) and that
+ * captions do not cover. Covered turns are dropped.
+ */
+export function releaseWhisperTurns({ flush = false, now = Date.now() } = {}) {
+    const due = flush ? held : held.filter(h => h.releaseAt <= now);
+    held = flush ? [] : held.filter(h => h.releaseAt > now);
+    return due.map(h => h.turn).filter(turn => !coveredByCaptions(turn));
+}
+
+function coveredByCaptions({ timestamp, endTimestamp }) {
+    const start = timestamp;
+    const end = Math.max(endTimestamp ?? start, start + 1);
+
+    // Sum the overlap with the union of caption spans inside [start, end]
+    const spans = [...captionSpans.values()]
+        .map(([s, e]) => [Math.max(s, start), Math.min(e, end)])
+        .filter(([s, e]) => e > s)
+        .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let reach = start;
+    for (const [s, e] of spans) {
+        if (e <= reach) continue;
+        covered += e - Math.max(s, reach);
+        reach = e;
+    }
+    return covered / (end - start) >= COVERED_RATIO;
+}
+
+// ── Microphone echo ────────────────────────────────────────────────────────────
+/** Remember what the tab channel heard: timed words ({ text, start, end }) or a whole chunk. */
+export function noteTabAudio({ text, timestamp, endTimestamp, words }) {
+    const timed = words?.length ? words : [{ text, start: timestamp, end: endTimestamp ?? timestamp }];
+    for (const { text: part, start, end } of timed) {
+        for (const word of normalizeWords(part)) tabWords.push({ word, at: (start + end) / 2 });
+    }
+    const cutoff = Math.max(...timed.map(w => w.end ?? w.start)) - TAB_WORDS_RETAIN_MS;
+    tabWords = tabWords.filter(w => w.at >= cutoff);
+}
+
+/** True if a mic turn ({ text, timestamp, endTimestamp }) mostly repeats what the tab just played. */
+export function isMicEcho({ text, timestamp, endTimestamp }) {
+    const words = normalizeWords(text);
+    if (!words.length) return true;
+
+    const from = timestamp - ECHO_WINDOW_MS;
+    const to = (endTimestamp ?? timestamp) + ECHO_WINDOW_MS;
+    const heard = new Set(tabWords.filter(w => w.at >= from && w.at <= to).map(w => w.word));
+    const repeated = words.filter(w => heard.has(w)).length;
+    return repeated / words.length >= ECHO_RATIO;
+}
+
+function normalizeWords(text = '') {
+    return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) ?? [];
+}
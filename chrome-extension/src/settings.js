@@ -0,0 +1,121 @@
+/**
+ * settings.js — User settings (chrome.storage.local)
+ *
+ * Settings are grouped into sections; each section is merged over its
+ * defaults on read, so new fields get sensible values for existing users.
+ * Shared by the service worker, popup and options page.
+ */
+
+// ── Defaults ───────────────────────────────────────────────────────────────────
+export const LLM_PROVIDERS = {
+    ollama: { label: 'Ollama', baseUrl: 'http://127.0.0.1:11434' },
+    lmstudio: { label: 'LM Studio', baseUrl: 'http://127.0.0.1:1234' },
+    llamacpp: { label: 'llama.cpp server', baseUrl: 'http://127.0.0.1:8080' },
+    custom: { label: 'Other OpenAI-compatible server', baseUrl: 'http://127.0.0.1:8000' },
+};
+
+// Quantized download sizes; English-only (.en) and multilingual variants are alike
+export const WHISPER_SIZES = {
+    tiny: { label: 'Tiny', download: '~40 MB' },
+    base: { label: 'Base', download: '~80 MB' },
+    small: { label: 'Small', download: '~250 MB' },
+};
+
+// A selection of the languages Whisper knows, by its language codes
+export const WHISPER_LANGUAGES = {
+    ar: 'Arabic', zh: 'Chinese (Mandarin)', cs: 'Czech', da: 'Danish', nl: 'Dutch',
+    en: 'English', fi: 'Finnish', fr: 'French', de: 'German', el: 'Greek',
+    he: 'Hebrew', hi: 'Hindi', hu: 'Hungarian', id: 'Indonesian', it: 'Italian',
+    ja: 'Japanese', ko: 'Korean', no: 'Norwegian', pl: 'Polish', pt: 'Portuguese',
+    ro: 'Romanian', ru: 'Russian', es: 'Spanish', sv: 'Swedish', th: 'Thai',
+    tr: 'Turkish', uk: 'Ukrainian', vi: 'Vietnamese',
+};
+
+export const DEFAULT_SETTINGS = {
+    llm: {
+        provider: 'ollama',
+        baseUrl: LLM_PROVIDERS.ollama.baseUrl,
+        model: 'llama3.2',
+        temperature: 0.2,
+        maxTokens: 1024,       // longest answer we ask for
+        contextWindow: 4096,   // model context size, used to chunk long transcripts
+    },
+    notes: {
+        templateId: 'general', // template id from templates.js, or 'auto'
+        liveSummaryMinutes: 3, // update the running summary while recording this often; 0 = off
+    },
+    transcription: {
+        source: 'whisper',     // 'whisper' | 'captions' (meeting live captions) | 'both'
+        microphone: false,     // also transcribe the local mic as the user's own voice
+        archiveAudio: false,   // keep an Opus recording with the meeting
+        modelSize: 'tiny',     // live Whisper model, a WHISPER_SIZES key
+        multilingual: false,   // false uses the English-only (.en) models
+        language: 'auto',      // multilingual only: 'auto' (detected per utterance) or a language code
+        task: 'transcribe',    // multilingual only: 'transcribe' | 'translate' (into English)
+        retranscribeSize: 'base',  // larger model for re-transcribing a recording
+        modelDownloads: true,  // fetch missing models from HuggingFace; off means imported models only
+    },
+    sync: {
+        enabled: false,                        // push meetings to the Meetily backend
+        backendUrl: 'http://127.0.0.1:5167',
+    },
+};
+
+const STORAGE_KEY = 'settings';
+
+// ── Read / write ───────────────────────────────────────────────────────────────
+export async function getSettings() {
+    const { [STORAGE_KEY]: stored = {} } = await chrome.storage.local.get(STORAGE_KEY);
+    const settings = {};
+    for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+        settings[section] = { ...defaults, ...stored[section] };
+    }
+    return settings;
+}
+
+/** Shallow-merge `patch` ({ section: { field: value } }) into the stored settings. */
+export async function saveSettings(patch) {
+    const current = await getSettings();
+    for (const [section, values] of Object.entries(patch)) {
+        current[section] = { ...current[section], ...values };
+    }
+    await chrome.storage.local.set({ [STORAGE_KEY]: current });
+    return current;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+/** Hugging Face id of the Whisper model of `size` ('tiny' | 'base' | 'small'). */
+export function whisperModel(size, multilingual) {
+    return `Xenova/whisper-${size}${multilingual ? '' : '.en'}`;
+}
+
+/** Whisper's { language, task } for the transcription settings; language null means detect. */
+export function whisperOptions({ multilingual, language, task }) {
+    if (!multilingual) return { language: 'english', task: 'transcribe' };
+    return { language: language === 'auto' ? null : language, task };
+}
+
+/** "http://127.0.0.1:1234/v1/" → "http://127.0.0.1:1234" */
+export function normalizeBaseUrl(url) {
+    return url.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/** Hosts the manifest's host_permissions cover; any other needs a grant. */
+export function isLoopback(url) {
+    const { hostname } = new URL(url);
+    return hostname === 'localhost' || hostname === '127.0.0.1';
+}
+
+/** "http://10.0.0.5:1234/v1" → "http://10.0.0.5:1234/*", the host permission for a URL. */
+export function hostPattern(url) {
+    return `${new URL(url).origin}/*`;
+}
+
+/**
+ * Throws unless `url` is loopback or its host was granted on the options page,
+ * before any request leaves for a configured server.
+ */
+export async function assertHostAllowed(url) {
+    if (isLoopback(url) || await chrome.permissions.contains({ origins: [hostPattern(url)] })) return;
+    throw new Error(`${new URL(url).origin} is not allowed yet — save it on the options page and grant access.`);
+}
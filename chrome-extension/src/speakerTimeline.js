@@ -0,0 +1,176 @@
+/**
+ * speakerTimeline.js — Who was speaking when, and which words they said
+ *
+ * content.js reports every active-speaker change with the time it saw it.
+ * The timeline keeps those changes for the current recording; Whisper's word
+ * timestamps are then matched against it, so a chunk spanning two speakers
+ * becomes two entries, each labelled with the speaker of that stretch of audio.
+ *
+ * After the meeting, a re-transcription is attributed the same way, using the
+ * live transcript's entries as the timeline.
+ *
+ * Used by background.js only.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+// The speaking indicator lights up a little after the voice starts, and the
+// content script polls every 500 ms — treat each change as this much earlier.
+const DETECTION_LAG_MS = 700;
+const RETAIN_MS = 2 * 60 * 1000;  // changes older than this are dropped (the last one is kept)
+const MIN_TURN_MS = 600;          // shorter runs between two equal speakers are flicker
+const LONG_TURN_MS = 30 * 1000;   // re-transcribed turns are cut into entries of about this length
+
+let changes = [];  // [{ at, name }] sorted by time
+
+// ── Recording the timeline ─────────────────────────────────────────────────────
+export function recordSpeakerChange(name, at = Date.now()) {
+    const last = changes[changes.length - 1];
+    if (last?.name === name) return;
+    const change = { at: at - DETECTION_LAG_MS, name };
+    changes.push(change);
+    if (last && last.at > change.at) changes.sort((a, b) => a.at - b.at);
+}
+
+export function clearSpeakerTimeline() {
+    changes = [];
+}
+
+/** Speaker at a moment in time — the last change before it, else the first one known. */
+export function speakerAt(time, timeline = changes) {
+    let name = timeline[0]?.name ?? 'Unknown';
+    for (const change of timeline) {
+        if (change.at > time) break;
+        name = change.name;
+    }
+    return name;
+}
+
+// ── Attribution ────────────────────────────────────────────────────────────────
+/**
+ * Split timed words ({ text, start, end } in wall-clock ms) into speaker turns:
+ * [{ speaker, text, timestamp, endTimestamp }]. Each word goes to the speaker
+ * whose turn overlaps it most.
+ */
+export function attributeWords(words) {
+    const turns = splitTurns(words, changes);
+    if (words.length) pruneBefore(words[words.length - 1].end - RETAIN_MS);
+    return turns;
+}
+
+/**
+ * Like attributeWords, but against a finished transcript's entries
+ * ({ speaker, timestamp }) instead of the live timeline. Long monologues are
+ * cut at sentence ends so entries stay as readable as the live ones.
+ */
+export function attributeWordsByTranscript(words, transcript) {
+    const timeline = transcript
+        .map(e => ({ at: e.timestamp, name: e.speaker }))
+        .sort((a, b) => a.at - b.at)
+        .filter((change, i, all) => change.name !== all[i - 1]?.name);
+    return splitTurns(words, timeline, LONG_TURN_MS);
+}
+
+function splitTurns(words, timeline, maxTurnMs = Infinity) {
+    const turns = [];
+    for (const word of words) {
+        const speaker = dominantSpeaker(word.start, word.end, timeline);
+        const last = turns[turns.length - 1];
+        if (last?.speaker === speaker) {
+            last.words.push(word);
+        } else {
+            turns.push({ speaker, words: [word] });
+        }
+    }
+
+    return absorbFlicker(turns).flatMap(t => cutLongTurn(t, maxTurnMs)).map(t => ({
+        speaker: t.speaker,
+        text: t.words.map(w => w.text).join('').replace(/\s+/g, ' ').trim(),
+        timestamp: t.words[0].start,
+        endTimestamp: t.words[t.words.length - 1].end,
+        ...languageOf(t.words),
+    })).filter(t => t.text);
+}
+
+// { language } most of the words were spoken in, when Whisper reported one
+function languageOf(words) {
+    const counts = new Map();
+    for (const { language } of words) {
+        if (language) counts.set(language, (counts.get(language) ?? 0) + 1);
+    }
+    if (!counts.size) return {};
+    return { language: [...counts].sort((a, b) => b[1] - a[1])[0][0] };
+}
+
+/**
+ * Whisper segments span several words; spread each segment's words evenly over
+ * its time range so they can be attributed like word timestamps.
+ */
+export function segmentsToWords(segments) {
+    return segments.flatMap((segment) => {
+        const parts = segment.text.match(/\s*\S+/g) ?? [];
+        const step = (segment.end - segment.start) / Math.max(1, parts.length);
+        return parts.map((text, i) => ({
+            text,
+            start: segment.start + i * step,
+            end: segment.start + (i + 1) * step,
+            language: segment.language,
+        }));
+    });
+}
+
+// Speaker whose turn covers the largest part of [start, end]
+function dominantSpeaker(start, end, timeline) {
+    if (end <= start) return speakerAt(start, timeline);
+
+    const overlap = new Map();
+    let name = speakerAt(start, timeline);
+    let from = start;
+    for (const change of timeline) {
+        if (change.at <= start) continue;
+        if (change.at >= end) break;
+        overlap.set(name, (overlap.get(name) ?? 0) + (change.at - from));
+        name = change.name;
+        from = change.at;
+    }
+    overlap.set(name, (overlap.get(name) ?? 0) + (end - from));
+
+    return [...overlap].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+// A blip of another speaker inside one person's turn is usually a mis-detection
+function absorbFlicker(turns) {
+    const out = [];
+    turns.forEach((turn, i) => {
+        const duration = turn.words[turn.words.length - 1].end - turn.words[0].start;
+        const prev = out[out.length - 1];
+        const next = turns[i + 1];
+        if (prev && next?.speaker === prev.speaker && duration < MIN_TURN_MS) {
+            prev.words.push(...turn.words);
+        } else if (prev?.speaker === turn.speaker) {
+            prev.words.push(...turn.words);
+        } else {
+            out.push({ speaker: turn.speaker, words: [...turn.words] });
+        }
+    });
+    return out;
+}
+
+// Past half the limit, cut after a sentence; at the limit, cut anyway
+function cutLongTurn(turn, maxTurnMs) {
+    const pieces = [{ speaker: turn.speaker, words: [] }];
+    for (const word of turn.words) {
+        const piece = pieces[pieces.length - 1];
+        piece.words.push(word);
+        const duration = word.end - piece.words[0].start;
+        if (duration >= maxTurnMs || (duration >= maxTurnMs / 2 && /[.?!]["')\]]?\s*$/.test(word.text))) {
+            pieces.push({ speaker: turn.speaker, words: [] });
+        }
+    }
+    return pieces.filter(p => p.words.length);
+}
+
+function pruneBefore(time) {
+    const firstKept = changes.findIndex(c => c.at > time);
+    const from = (firstKept < 0 ? changes.length : firstKept) - 1;
+    if (from > 0) changes = changes.slice(from);
+}
@@ -0,0 +1,365 @@
+/**
+ * summarizer.js — Meeting notes pipeline (map-reduce over the transcript)
+ *
+ * Short meetings go to the LLM in one pass. Long ones would overflow the
+ * model's context window, so the formatted transcript is split into
+ * consecutive time windows that each fit a token budget:
+ *
+ *   map:    every window → partial summary
+ *   reduce: partial summaries → the standard notes document
+ *
+ * If the partial summaries themselves are too long they are merged in
+ * groups until they fit. The final pass follows the chosen note template
+ * (templates.js) and answers in JSON, which is validated — and sent back for
+ * correction if unusable — before being rendered to Markdown.
+ * classifyMeeting() can pick the template automatically.
+ *
+ * Bookmarks set during the meeting are merged into the transcript as
+ * "★ BOOKMARK" lines, and the model is told to give those moments weight.
+ *
+ * While recording, updateLiveSummary() folds the entries added since the last
+ * round into a running summary, and catchUpSummary() sums up the last few
+ * minutes on demand — both plain Markdown, for people who joined late or
+ * stepped away.
+ */
+
+import { streamChat } from './llm.js';
+import { getSettings } from './settings.js';
+import {
+    parseNotes, renderNotesMarkdown, fieldForSection, NOTES_RESPONSE_FORMAT, NOTES_SHAPE_EXAMPLE,
+} from './notesSchema.js';
+
+// ── Token budget ───────────────────────────────────────────────────────────────
+// Context window and answer length come from the options page (settings.llm)
+const CHARS_PER_TOKEN = 4;            // rough estimate for English text
+const PROMPT_SLACK_TOKENS = 64;       // headers / role markers around the text
+const MAX_REPAIR_ATTEMPTS = 2;        // follow-ups asking the model to fix invalid JSON
+
+export function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// ── Prompts ────────────────────────────────────────────────────────────────────
+// The final pass answers in JSON (notesSchema.js); the template decides which
+// keys end up under which Markdown heading once rendered.
+function notesSystemPrompt(template, source, bookmarked = false) {
+    const layout = template.sections.map((section) => {
+        const field = fieldForSection(section);
+        const from = field
+            ? `from "${field}"`
+            : 'a "sections" entry with exactly this heading; "content" is Markdown';
+        return `## ${section.heading}  (${from})\n${section.format}`;
+    }).join('\n\n');
+
+    const rules = [
+        'Only use information from the transcript. Do not invent.',
+        ...template.rules,
+        ...(bookmarked ? [BOOKMARK_RULE] : []),
+        'Fill every key. Use an empty list or "" when there is nothing to report.',
+    ].map(r => `- ${r}`).join('\n');
+
+    return `${template.prompt} Generate structured meeting notes from the ${source} below.
+Speaker names in the transcript are the participants' real names, as shown in the meeting or its transcript file.
+
+Answer with ONE JSON object and nothing else, shaped like this:
+${NOTES_SHAPE_EXAMPLE}
+
+The notes are shown to the reader as these Markdown sections:
+
+${layout}
+
+RULES:
+${rules}`;
+}
+
+const PARTIAL_SYSTEM_PROMPT = `You are summarizing ONE PART of a longer meeting transcript. Other parts are summarized separately and merged later.
+
+Write concise Markdown notes for this part only:
+- **Topics:** what was discussed, referencing speakers
+- **Decisions:** each decision and who proposed/confirmed it
+- **Action items:** owner, task, due date (or TBD) and a short verbatim quote
+- **Blockers & risks:** each one and who raised it
+
+RULES:
+- Only use information from this part of the transcript. Do not invent.
+- Keep real speaker names exactly as written.
+- Omit a heading if there is nothing for it.`;
+
+const BOOKMARK_RULE = 'Lines marked ★ BOOKMARK are moments a participant flagged as important while recording. Make sure what was said around each one is covered, and mention its label if it has one.';
+
+function partialSystemPrompt(bookmarked) {
+    return bookmarked ? `${PARTIAL_SYSTEM_PROMPT}\n- ${BOOKMARK_RULE}` : PARTIAL_SYSTEM_PROMPT;
+}
+
+// ── Transcript formatting & chunking ───────────────────────────────────────────
+export function formatEntry(e) {
+    const t = new Date(e.timestamp).toLocaleTimeString();
+    if (e.bookmark) return `[${t}] ★ BOOKMARK${e.label ? `: ${e.label}` : ''}`;
+    return `[${t}] ${e.speaker}: ${e.text}`;
+}
+
+// Transcript entries and bookmarks ({ bookmark: true, timestamp, label }) in time order
+export function withBookmarks(transcript, bookmarks = []) {
+    const marks = bookmarks.map(b => ({ bookmark: true, timestamp: b.timestamp, label: b.label }));
+    return [...transcript, ...marks].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export function formatTranscript(transcript) {
+    return transcript.map(formatEntry).join('\n');
+}
+
+/**
+ * Split entries into consecutive time windows of at most `budget` tokens.
+ * An entry is never split, so a single oversized entry gets a window of its own.
+ */
+export function chunkTranscript(transcript, budget) {
+    return packByBudget(transcript, e => estimateTokens(formatEntry(e)) + 1, budget);
+}
+
+// Greedily pack items, in order, into groups whose summed cost stays within budget
+function packByBudget(items, cost, budget) {
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const item of items) {
+        const c = cost(item);
+        if (current.length && tokens + c > budget) {
+            groups.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(item);
+        tokens += c;
+    }
+    if (current.length) groups.push(current);
+    return groups;
+}
+
+function timeRange(entries) {
+    const fmt = ts => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${fmt(entries[0].timestamp)}–${fmt(entries[entries.length - 1].timestamp)}`;
+}
+
+// ── Pipeline ───────────────────────────────────────────────────────────────────
+/**
+ * Produce the notes for a meeting. Resolves to { json, markdown }.
+ * `onToken(delta, textSoFar)` streams the final pass and any repair of it,
+ * each starting over; `onProgress({ stage, chunk, total })` reports
+ * map/merge/repair steps.
+ */
+export async function summarizeMeeting(meeting, template, { signal, onToken, onProgress } = {}) {
+    const transcript = withBookmarks(meeting.transcript, meeting.bookmarks);
+    const bookmarked = transcript.length > meeting.transcript.length;
+    const partialPrompt = partialSystemPrompt(bookmarked);
+    const { llm } = await getSettings();
+    const inputBudget = llm.contextWindow - llm.maxTokens;
+
+    const fullPrompt = notesSystemPrompt(template, 'transcript', bookmarked);
+    const fullText = `TRANSCRIPT:\n\n${formatTranscript(transcript)}`;
+    const finish = (systemPrompt, userContent) =>
+        structuredNotes(meeting, template, systemPrompt, userContent, { signal, onToken, onProgress });
+
+    // Fits in one pass — no map-reduce needed
+    if (estimateTokens(fullPrompt + fullText) <= inputBudget) {
+        onProgress?.({ stage: 'final' });
+        return finish(fullPrompt, fullText);
+    }
+
+    // Map: one partial summary per time window
+    const budget = inputBudget - estimateTokens(partialPrompt) - PROMPT_SLACK_TOKENS;
+    const chunks = chunkTranscript(transcript, budget);
+    let partials = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+        onProgress?.({ stage: 'map', chunk: i + 1, total: chunks.length });
+        const summary = await streamChat([
+            { role: 'system', content: partialPrompt },
+            {
+                role: 'user',
+                content: `PART ${i + 1} OF ${chunks.length} (${timeRange(chunks[i])}):\n\n${formatTranscript(chunks[i])}`,
+            },
+        ], { signal });
+        partials.push(`### Part ${i + 1} (${timeRange(chunks[i])})\n${summary.trim()}`);
+    }
+
+    // Reduce: merge partial summaries in groups until they fit one final pass
+    const reducePrompt = notesSystemPrompt(template, 'partial summaries of consecutive parts of one meeting', bookmarked);
+    const reduceBudget = inputBudget - estimateTokens(reducePrompt) - PROMPT_SLACK_TOKENS;
+
+    while (partials.length > 1 && estimateTokens(partials.join('\n\n')) > reduceBudget) {
+        const groups = packByBudget(partials, estimateTokens, reduceBudget);
+        if (groups.length === partials.length) break;  // can't shrink further — send as is
+
+        const merged = [];
+        for (let i = 0; i < groups.length; i++) {
+            onProgress?.({ stage: 'merge', chunk: i + 1, total: groups.length });
+            const summary = await streamChat([
+                { role: 'system', content: partialPrompt },
+                { role: 'user', content: groups[i].join('\n\n') },
+            ], { signal });
+            merged.push(`### Parts ${mergedPartLabel(groups[i])}\n${summary.trim()}`);
+        }
+        partials = merged;
+    }
+
+    onProgress?.({ stage: 'final' });
+    const speakers = [...new Set(meeting.transcript.map(e => e.speaker))].join(', ');
+    return finish(reducePrompt, `SPEAKERS: ${speakers}\n\nPARTIAL SUMMARIES:\n\n${partials.join('\n\n')}`);
+}
+
+// Final pass: stream the JSON answer, then validate it and ask for fixes if needed.
+// The notes of a long meeting outgrow settings.llm.maxTokens and would be cut
+// off mid-JSON, so each answer gets whatever room the context window has left.
+async function structuredNotes(meeting, template, systemPrompt, userContent, { signal, onToken, onProgress }) {
+    const { llm } = await getSettings();
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent },
+    ];
+    const ask = () => streamChat(messages, {
+        signal,
+        onToken,
+        responseFormat: NOTES_RESPONSE_FORMAT,
+        maxTokens: Math.max(
+            llm.maxTokens,
+            llm.contextWindow - estimateTokens(messages.map(m => m.content).join('\n')) - PROMPT_SLACK_TOKENS,
+        ),
+    });
+    let answer = await ask();
+
+    for (let attempt = 1; ; attempt++) {
+        const { notes, errors } = parseNotes(answer);
+        if (notes && !errors.length) {
+            if (!notes.attendees.length) notes.attendees = [...new Set(meeting.transcript.map(e => e.speaker))];
+            return { json: notes, markdown: renderNotesMarkdown(notes, template, meeting) };
+        }
+        if (attempt > MAX_REPAIR_ATTEMPTS) {
+            throw new Error(`The model did not return valid notes: ${errors.join(' ')}`);
+        }
+
+        onProgress?.({ stage: 'repair', attempt });
+        messages.push(
+            { role: 'assistant', content: answer },
+            { role: 'user', content: `That answer is not usable: ${errors.join(' ')} Reply with the corrected JSON object only.` },
+        );
+        answer = await ask();
+    }
+}
+
+// ── Live summary & catch-up ────────────────────────────────────────────────────
+const LIVE_SUMMARY_PROMPT = `You keep a running summary of a meeting that is still going on, for people who join late or step away.
+You get the summary so far and the transcript of what was said since. Reply with the updated summary only, as concise Markdown:
+- **Topics:** what has been discussed, referencing speakers
+- **Decisions:** each decision and who made it
+- **Action items:** owner — task
+- **Open questions:** what is still being worked out
+
+RULES:
+- Only use information from the summary and the transcript. Do not invent.
+- Keep real speaker names exactly as written.
+- Stay short, about 15 bullets at most: as the meeting goes on, shorten older points rather than dropping decisions or action items.
+- Omit a heading if there is nothing for it.`;
+
+function catchUpPrompt(minutes) {
+    return `Someone stepped away from a meeting that is still going on. From the transcript of the last ${minutes} minutes, tell them what they missed: the main points, any decisions, anything asked of anyone, and what is being discussed right now.
+
+RULES:
+- Only use information from the transcript. Do not invent.
+- Keep real speaker names exactly as written.
+- Answer in concise Markdown bullets, about 8 at most. No heading.`;
+}
+
+const MIN_LIVE_BUDGET_TOKENS = 256;   // transcript room kept even when the summary so far is long
+
+/**
+ * Fold `entries` (said since the last update) into the running summary
+ * `previous` ('' at first). Entries that do not fit one request are folded in
+ * a window at a time. Resolves to the new summary Markdown.
+ */
+export async function updateLiveSummary(previous, entries, { signal } = {}) {
+    const { llm } = await getSettings();
+    const inputBudget = llm.contextWindow - llm.maxTokens;
+    let summary = previous.trim();
+
+    const budget = Math.max(MIN_LIVE_BUDGET_TOKENS,
+        inputBudget - estimateTokens(LIVE_SUMMARY_PROMPT + summary) - PROMPT_SLACK_TOKENS);
+    for (const chunk of chunkTranscript(entries, budget)) {
+        const answer = await streamChat([
+            { role: 'system', content: LIVE_SUMMARY_PROMPT },
+            {
+                role: 'user',
+                content: `SUMMARY SO FAR:\n\n${summary || '(nothing yet — the meeting just started)'}\n\nSAID SINCE (${timeRange(chunk)}):\n\n${formatTranscript(chunk)}`,
+            },
+        ], { signal });
+        summary = answer.trim();
+    }
+    return summary;
+}
+
+/**
+ * What was said in `entries`, the last `minutes` of the meeting, for someone
+ * catching up. Too long for one request, each window is summarised first.
+ * Resolves to Markdown; `onToken(delta, textSoFar)` streams the final pass.
+ */
+export async function catchUpSummary(entries, minutes, { signal, onToken } = {}) {
+    const { llm } = await getSettings();
+    const inputBudget = llm.contextWindow - llm.maxTokens;
+    const prompt = catchUpPrompt(minutes);
+    const budget = inputBudget - estimateTokens(prompt) - PROMPT_SLACK_TOKENS;
+
+    let text = `TRANSCRIPT (${timeRange(entries)}):\n\n${formatTranscript(entries)}`;
+    if (estimateTokens(text) > budget) {
+        const partials = [];
+        for (const chunk of chunkTranscript(entries, budget - estimateTokens(PARTIAL_SYSTEM_PROMPT))) {
+            const summary = await streamChat([
+                { role: 'system', content: PARTIAL_SYSTEM_PROMPT },
+                { role: 'user', content: formatTranscript(chunk) },
+            ], { signal });
+            partials.push(`### ${timeRange(chunk)}\n${summary.trim()}`);
+        }
+        text = `SUMMARIES OF CONSECUTIVE PARTS:\n\n${partials.join('\n\n')}`;
+    }
+
+    const answer = await streamChat([
+        { role: 'system', content: prompt },
+        { role: 'user', content: text },
+    ], { signal, onToken });
+    return answer.trim();
+}
+
+// ── Meeting type detection ─────────────────────────────────────────────────────
+const CLASSIFY_EXCERPT_TOKENS = 1500;  // the opening minutes are enough to tell
+
+/** Ask the LLM which template fits the transcript. Resolves to a template id. */
+export async function classifyMeeting(meeting, templates, { signal } = {}) {
+    const [excerpt] = chunkTranscript(meeting.transcript, CLASSIFY_EXCERPT_TOKENS);
+    const options = templates.map(t => `- ${t.id}: ${t.description || t.name}`).join('\n');
+
+    const answer = await streamChat([
+        {
+            role: 'system',
+            content: `Classify the meeting transcript into exactly one of these meeting types:\n${options}\n\nAnswer with the id only, nothing else.`,
+        },
+        { role: 'user', content: `TRANSCRIPT EXCERPT:\n\n${formatTranscript(excerpt)}` },
+    ], { signal });
+
+    // Models sometimes wrap the id in quotes or a sentence — take the first id mentioned
+    const normalized = answer.toLowerCase();
+    const hits = templates
+        .map(t => ({ id: t.id, at: normalized.indexOf(t.id.toLowerCase()) }))
+        .filter(h => h.at >= 0)
+        .sort((a, b) => a.at - b.at);
+    return hits[0]?.id ?? null;
+}
+
+// "### Part 3 (10:15–10:30)" + "### Part 5 (10:45–11:00)" → "3–5 (10:15–11:00)"
+function mergedPartLabel(group) {
+    const parse = s => s.match(/^### Parts? ([\d–]+) \((.+?)–(.+?)\)/);
+    const first = parse(group[0]);
+    const last = parse(group[group.length - 1]);
+    if (!first || !last) return `${group.length}`;
+    const from = first[1].split('–')[0];
+    const to = last[1].split('–').pop();
+    return `${from}–${to} (${first[2]}–${last[3]})`;
+}
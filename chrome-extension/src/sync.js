@@ -0,0 +1,213 @@
+/**
+ * sync.js — Opt-in sync of meetings into the local Meetily backend
+ *
+ * When enabled on the options page, a stopped recording pushes its transcript
+ * to the backend's /save-transcript and generated notes follow through
+ * /save-meeting-summary, so browser-recorded meetings show up in the desktop
+ * app. Each meeting tracks its own sync state:
+ *
+ *   meeting.sync = { status, backendMeetingId, transcriptPending, notesPending,
+ *                    attempts, nextAttemptAt, error, syncedAt }
+ *
+ * status is 'pending' | 'synced' | 'failed'. Failed uploads stay queued and are
+ * retried with exponential backoff from the service worker's retry alarm.
+ *
+ * Privacy: only the configured backend URL (127.0.0.1:5167 by default) is contacted.
+ */
+
+import { getMeeting, listMeetings, updateMeeting } from './meetingStore.js';
+import { getSettings, assertHostAllowed } from './settings.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+export const SYNC_RETRY_ALARM = 'syncRetry';
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 30 * 60 * 1000;
+
+let running = null;   // Promise of the sync pass in progress
+let rerun = false;    // another pass was requested while one was running
+
+// ── Queue ──────────────────────────────────────────────────────────────────────
+/**
+ * Queue `part` ('transcript' | 'notes') of a meeting for upload and start a
+ * sync pass. Does nothing while sync is disabled.
+ */
+export async function requestSync(meetingId, part) {
+    const { sync } = await getSettings();
+    if (!sync.enabled) return;
+
+    await updateMeeting(meetingId, (m) => {
+        const state = { ...m.sync };
+        if (part === 'transcript') state.transcriptPending = true;
+        if (part === 'notes') state.notesPending = true;
+        return { ...m, sync: { ...state, status: 'pending', attempts: 0, nextAttemptAt: 0, error: null } };
+    });
+    broadcast(meetingId);
+    runSync();
+}
+
+/** Retry a failed meeting now, ignoring its backoff. */
+export async function retrySync(meetingId) {
+    const meeting = await updateMeeting(meetingId, m => (
+        m.sync ? { ...m, sync: { ...m.sync, status: 'pending', nextAttemptAt: 0, error: null } } : m
+    ));
+    if (!meeting?.sync) return { ok: false, error: 'This meeting has not been queued for sync.' };
+    broadcast(meetingId);
+    await runSync();
+    return { ok: true };
+}
+
+/**
+ * Upload every queued meeting whose backoff has elapsed. Concurrent calls
+ * share the pass in progress and trigger one more pass after it.
+ */
+export function runSync() {
+    if (running) {
+        rerun = true;
+        return running;
+    }
+    running = (async () => {
+        do {
+            rerun = false;
+            await syncDueMeetings();
+        } while (rerun);
+    })().finally(() => { running = null; });
+    return running;
+}
+
+async function syncDueMeetings() {
+    const { sync } = await getSettings();
+    if (!sync.enabled) return;
+
+    const now = Date.now();
+    const due = (await listMeetings()).filter(m =>
+        (m.sync?.status === 'pending' || m.sync?.status === 'failed') && (m.sync.nextAttemptAt ?? 0) <= now);
+
+    for (const { id } of due) {
+        const meeting = await getMeeting(id);
+        if (!meeting?.sync) continue;   // deleted meanwhile
+        try {
+            await syncMeeting(meeting, sync.backendUrl);
+        } catch (err) {
+            console.warn('[sync] upload failed:', meeting.id, err.message);
+            await updateMeeting(meeting.id, (m) => {
+                const attempts = (m.sync.attempts ?? 0) + 1;
+                return {
+                    ...m,
+                    sync: {
+                        ...m.sync,
+                        status: 'failed',
+                        attempts,
+                        nextAttemptAt: Date.now() + Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** (attempts - 1)),
+                        error: err.message,
+                    },
+                };
+            });
+        }
+        broadcast(meeting.id);
+    }
+}
+
+// ── Upload one meeting ─────────────────────────────────────────────────────────
+async function syncMeeting(meeting, backendUrl) {
+    let { backendMeetingId, transcriptPending, notesPending } = meeting.sync;
+
+    // Notes can only be attached to a meeting the backend already has
+    if (!backendMeetingId) transcriptPending = true;
+
+    if (transcriptPending) {
+        // The backend has no transcript update; replace the earlier upload instead
+        if (backendMeetingId) {
+            await post(backendUrl, '/delete-meeting', { meeting_id: backendMeetingId }).catch(() => { });
+        }
+        const res = await post(backendUrl, '/save-transcript', {
+            meeting_title: backendTitle(meeting),
+            transcripts: meeting.transcript.map(e => backendSegment(e, meeting.startTime)),
+        });
+        backendMeetingId = res.meeting_id;
+        if (meeting.notes) notesPending = true;
+        await saveProgress(meeting.id, { backendMeetingId, transcriptPending: false, notesPending });
+    }
+
+    if (notesPending && meeting.notes) {
+        await post(backendUrl, '/save-meeting-summary', {
+            meeting_id: backendMeetingId,
+            summary: {
+                MeetingName: meeting.notesJson?.title || meeting.title,
+                markdown: meeting.notes,
+                structured: meeting.notesJson ?? null,
+            },
+        });
+    }
+
+    await saveProgress(meeting.id, {
+        notesPending: false,
+        status: 'synced',
+        attempts: 0,
+        nextAttemptAt: 0,
+        error: null,
+        syncedAt: Date.now(),
+    });
+}
+
+async function saveProgress(meetingId, patch) {
+    await updateMeeting(meetingId, m => ({ ...m, sync: { ...m.sync, ...patch } }));
+}
+
+// The backend refuses duplicate titles, and Teams meetings often share one
+function backendTitle(meeting) {
+    const when = new Date(meeting.startTime).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    return `${meeting.title} (${when})`;
+}
+
+// The backend has no speaker column, so the speaker leads the text
+function backendSegment(entry, startTime) {
+    const seconds = Math.max(0, (entry.timestamp - startTime) / 1000);
+    return {
+        id: String(entry.id),
+        text: `${entry.speaker}: ${entry.text}`,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        audio_start_time: seconds,
+    };
+}
+
+// ── HTTP ───────────────────────────────────────────────────────────────────────
+async function post(backendUrl, path, body) {
+    await assertHostAllowed(backendUrl);
+    let res;
+    try {
+        res = await fetch(`${backendUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+    } catch (_) {
+        throw new Error(`Could not reach the Meetily backend at ${backendUrl}.`);
+    }
+    if (!res.ok) {
+        const detail = await res.json().then(d => d.detail, () => null);
+        throw new Error(`Backend error ${res.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return res.json();
+}
+
+/** Resolves to the number of meetings the backend has; throws when unreachable. */
+export async function testBackend(backendUrl) {
+    await assertHostAllowed(backendUrl);
+    let res;
+    try {
+        res = await fetch(`${backendUrl}/get-meetings`);
+    } catch (_) {
+        throw new Error(`Could not reach the Meetily backend at ${backendUrl}.`);
+    }
+    if (!res.ok) throw new Error(`Backend error ${res.status}`);
+    return (await res.json()).length;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function broadcast(meetingId) {
+    getMeeting(meetingId).then((m) => {
+        if (!m) return;
+        chrome.runtime.sendMessage({ action: 'syncUpdate', meetingId, sync: m.sync })
+            .catch(() => { /* popup may not be open */ });
+    });
+}
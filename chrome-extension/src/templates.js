@@ -0,0 +1,189 @@
+/**
+ * templates.js — Meeting-note templates
+ *
+ * A template is the instructions plus the section list for one kind of meeting:
+ *   { id, name, description, prompt, sections: [{ heading, format, field? }], rules: [] }
+ *
+ * `field` ties a section to a key of the structured notes (notesSchema.js);
+ * without it the key is inferred from the heading, and unmatched sections are
+ * filled as free-form Markdown.
+ *
+ * Built-in templates ship with the extension and are read-only. User templates
+ * are created on the options page and stored in chrome.storage.local.
+ */
+
+// ── Built-in templates ─────────────────────────────────────────────────────────
+const ACTION_ITEMS_SECTION = {
+    heading: 'Action Items',
+    format: '| Owner | Task | Due | Quote |\n| --- | --- | --- | --- |\n[one row per commitment found in transcript]',
+};
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'general',
+        name: 'General meeting',
+        description: 'Any meeting: decisions, action items, blockers and next steps',
+        prompt: 'You are an expert meeting summarizer.',
+        sections: [
+            { heading: 'Summary', format: '[2-3 sentence executive summary]' },
+            { heading: 'Key Decisions', format: '- **[Decision]** — Owner: [Speaker who proposed/confirmed it]' },
+            ACTION_ITEMS_SECTION,
+            { heading: 'Blockers & Risks', format: '- [Blocker/Risk] — raised by [Speaker]' },
+            { heading: 'Discussion Highlights', format: '[paragraph summary of main topics, referencing speakers]' },
+            { heading: 'Next Steps', format: '- [Next step] — Owner: [Name], By: [date or TBD]' },
+        ],
+        rules: ['Attribute every action item to the speaker who committed to it.'],
+    },
+    {
+        id: 'standup',
+        name: 'Daily standup',
+        description: 'Short team sync where each person gives yesterday / today / blockers updates',
+        prompt: 'You are summarizing a daily standup for a team that reads it asynchronously.',
+        sections: [
+            { heading: 'Summary', format: '[1-2 sentences on overall progress]' },
+            { heading: 'Updates by Person', format: '### [Name]\n- **Done:** …\n- **Next:** …\n- **Blocked on:** … (or "Nothing")' },
+            { heading: 'Blockers', format: '- [Blocker] — [Name], needs help from [Name or TBD]' },
+            ACTION_ITEMS_SECTION,
+        ],
+        rules: ['Keep each update to one line per bullet.', 'Only list a person if they gave an update.'],
+    },
+    {
+        id: 'one-on-one',
+        name: '1:1',
+        description: 'Two people — manager and report, or peers — discussing work, feedback and growth',
+        prompt: 'You are summarizing a private 1:1 conversation between two colleagues.',
+        sections: [
+            { heading: 'Summary', format: '[2-3 sentence summary of the conversation]' },
+            { heading: 'Topics Discussed', format: '- **[Topic]** — [what was said, by whom]' },
+            { heading: 'Feedback', format: '- [Feedback] — from [Name] to [Name]' },
+            { heading: 'Goals & Growth', format: '- [Goal or development area] — [agreed next step]' },
+            ACTION_ITEMS_SECTION,
+            { heading: 'For Next 1:1', format: '- [Topic to revisit]' },
+        ],
+        rules: ['Keep a neutral, factual tone — this summary may be shared with both participants.'],
+    },
+    {
+        id: 'interview',
+        name: 'Interview',
+        description: 'Hiring interview: questions to a candidate and their answers',
+        prompt: 'You are taking notes for a hiring panel on a job interview.',
+        sections: [
+            { heading: 'Candidate & Role', format: '**Candidate:** [Name]  \n**Role:** [role if mentioned, else "Not stated"]' },
+            { heading: 'Summary', format: '[2-3 sentence summary of the interview]' },
+            { heading: 'Questions & Answers', format: '- **[Question]** — [summary of the candidate\'s answer]' },
+            { heading: 'Strengths Observed', format: '- [Strength] — [evidence from the conversation]' },
+            { heading: 'Concerns', format: '- [Concern] — [evidence from the conversation]' },
+            { heading: 'Candidate Questions', format: '- [Question the candidate asked] — [answer given]' },
+            { heading: 'Next Steps', format: '- [Next step] — Owner: [Name], By: [date or TBD]' },
+        ],
+        rules: [
+            'Do not give a hiring recommendation unless an interviewer stated one.',
+            'Do not comment on age, gender, ethnicity, health or other protected characteristics.',
+        ],
+    },
+    {
+        id: 'retro',
+        name: 'Retrospective',
+        description: 'Team retro on a sprint or project: what went well, what did not, improvements',
+        prompt: 'You are summarizing a team retrospective.',
+        sections: [
+            { heading: 'Summary', format: '[2-3 sentence summary of the retro]' },
+            { heading: 'What Went Well', format: '- [Item] — raised by [Speaker]' },
+            { heading: 'What Didn\'t Go Well', format: '- [Item] — raised by [Speaker]' },
+            { heading: 'Ideas & Improvements', format: '- [Idea] — proposed by [Speaker]' },
+            ACTION_ITEMS_SECTION,
+        ],
+        rules: ['Group repeated points together and note how many people raised them.'],
+    },
+    {
+        id: 'client-call',
+        name: 'Client call',
+        description: 'External call with a client or customer: needs, commitments on both sides, risks',
+        prompt: 'You are summarizing a call with an external client for the account team.',
+        sections: [
+            { heading: 'Summary', format: '[2-3 sentence executive summary]' },
+            { heading: 'Client Needs & Requirements', format: '- [Need] — stated by [Speaker]' },
+            { heading: 'Decisions', format: '- **[Decision]** — agreed by [Speaker]' },
+            {
+                heading: 'Our Commitments',
+                field: 'actionItems',
+                format: '| Owner | Commitment | Due | Quote |\n| --- | --- | --- | --- |\n[one row per thing our side promised]',
+            },
+            { heading: 'Client Commitments', format: '- [Commitment] — [Client speaker], By: [date or TBD]' },
+            { heading: 'Risks & Concerns', format: '- [Risk/concern] — raised by [Speaker]' },
+            { heading: 'Next Steps', format: '- [Next step] — Owner: [Name], By: [date or TBD]' },
+        ],
+        rules: ['Attribute every commitment to the speaker who made it.', 'Do not include internal-only speculation.'],
+    },
+];
+
+export const DEFAULT_TEMPLATE_ID = 'general';
+export const AUTO_TEMPLATE_ID = 'auto';  // picker value: classify the meeting first
+
+// ── User templates ─────────────────────────────────────────────────────────────
+const STORAGE_KEY = 'noteTemplates';
+
+async function getUserTemplates() {
+    const { [STORAGE_KEY]: templates = [] } = await chrome.storage.local.get(STORAGE_KEY);
+    return templates;
+}
+
+/** Built-ins first, then the user's own templates. */
+export async function getTemplates() {
+    const user = await getUserTemplates();
+    return [
+        ...BUILT_IN_TEMPLATES.map(t => ({ ...t, builtIn: true })),
+        ...user.map(t => ({ ...t, builtIn: false })),
+    ];
+}
+
+/** Resolve a template id, falling back to the general template. */
+export async function getTemplate(id) {
+    const templates = await getTemplates();
+    return templates.find(t => t.id === id) ?? templates.find(t => t.id === DEFAULT_TEMPLATE_ID);
+}
+
+/** Create (no id) or update a user template. Resolves to the saved template. */
+export async function saveUserTemplate(template) {
+    const templates = await getUserTemplates();
+    const saved = {
+        id: template.id || `custom-${crypto.randomUUID().slice(0, 8)}`,
+        name: template.name.trim(),
+        description: template.description?.trim() ?? '',
+        prompt: template.prompt.trim(),
+        sections: template.sections,
+        rules: template.rules ?? [],
+    };
+    const index = templates.findIndex(t => t.id === saved.id);
+    if (index >= 0) templates[index] = saved;
+    else templates.push(saved);
+    await chrome.storage.local.set({ [STORAGE_KEY]: templates });
+    return saved;
+}
+
+export async function deleteUserTemplate(id) {
+    const templates = await getUserTemplates();
+    await chrome.storage.local.set({ [STORAGE_KEY]: templates.filter(t => t.id !== id) });
+}
+
+// ── Section list text format (used by the template editor) ─────────────────────
+// One section per block: "## Heading" on its own line, format lines below it.
+// A section's field follows its heading in braces: "## Our Commitments {actionItems}".
+export function sectionsToText(sections) {
+    return sections.map(s => `## ${s.heading}${s.field ? ` {${s.field}}` : ''}\n${s.format}`).join('\n\n');
+}
+
+export function textToSections(text) {
+    const sections = [];
+    for (const line of text.split('\n')) {
+        const heading = line.match(/^##\s+(.+?)(?:\s+\{(\w+)\})?\s*$/);
+        if (heading) sections.push({ heading: heading[1].trim(), field: heading[2], format: '' });
+        else if (sections.length) {
+            const last = sections[sections.length - 1];
+            last.format = last.format ? `${last.format}\n${line}` : line;
+        }
+    }
+    return sections
+        .map(s => ({ heading: s.heading, ...(s.field && { field: s.field }), format: s.format.trim() }))
+        .filter(s => s.heading);
+}
@@ -0,0 +1,100 @@
+/**
+ * transcriptEdits.js — Corrections to a stored transcript
+ *
+ * Whisper mishears names, captions miss speakers ("Unknown") and silence
+ * comes out as junk. The popup sends one edit at a time; background.js
+ * applies it to the stored transcript with applyEdit() so the notes are
+ * generated from the corrected text:
+ *
+ *   { type: 'text',          id, text }
+ *   { type: 'speaker',       id, speaker }           one entry
+ *   { type: 'renameSpeaker', from, to }              every entry of a speaker
+ *   { type: 'merge',         id }                    entry + the one after it
+ *   { type: 'split',         id, offset }            at a character offset
+ *   { type: 'delete',        ids: [id, …] }
+ *
+ * Entries keep their ids; the second half of a split gets a new one.
+ */
+
+import { nextEntryId } from './meetingStore.js';
+
+/** Returns the edited copy of `transcript`; throws if the edit does not apply. */
+export function applyEdit(transcript, edit) {
+    switch (edit.type) {
+        case 'text': {
+            const text = edit.text?.trim();
+            if (!text) throw new Error('Entry text cannot be empty — delete the entry instead.');
+            return updateEntry(transcript, edit.id, () => ({ text }));
+        }
+
+        case 'speaker': {
+            const speaker = edit.speaker?.trim();
+            if (!speaker) throw new Error('Speaker name cannot be empty.');
+            return updateEntry(transcript, edit.id, () => ({ speaker }));
+        }
+
+        case 'renameSpeaker': {
+            const to = edit.to?.trim();
+            if (!to) throw new Error('Speaker name cannot be empty.');
+            if (!transcript.some(e => e.speaker === edit.from)) throw new Error(`No entries by ${edit.from}.`);
+            return transcript.map(e => (e.speaker === edit.from ? { ...e, speaker: to } : e));
+        }
+
+        case 'merge':
+            return mergeWithNext(transcript, edit.id);
+
+        case 'split':
+            return splitEntry(transcript, edit.id, edit.offset);
+
+        case 'delete': {
+            const ids = new Set(edit.ids);
+            return transcript.filter(e => !ids.has(e.id));
+        }
+
+        default:
+            throw new Error(`Unknown edit: ${edit.type}`);
+    }
+}
+
+// ── Edits ──────────────────────────────────────────────────────────────────────
+function updateEntry(transcript, id, change) {
+    const index = indexOf(transcript, id);
+    return transcript.map((e, i) => (i === index ? { ...e, ...change(e) } : e));
+}
+
+// The merged entry keeps the first one's speaker and spans both
+function mergeWithNext(transcript, id) {
+    const index = indexOf(transcript, id);
+    const [first, second] = transcript.slice(index, index + 2);
+    if (!second) throw new Error('The last entry has nothing after it to merge with.');
+
+    const merged = {
+        ...first,
+        text: `${first.text} ${second.text}`,
+        endTimestamp: second.endTimestamp ?? second.timestamp,
+    };
+    return [...transcript.slice(0, index), merged, ...transcript.slice(index + 2)];
+}
+
+// Entries keep no word timings, so the second half's start is estimated
+// from how far into the text the split falls
+function splitEntry(transcript, id, offset) {
+    const index = indexOf(transcript, id);
+    const entry = transcript[index];
+    const before = entry.text.slice(0, offset).trim();
+    const after = entry.text.slice(offset).trim();
+    if (!before || !after) throw new Error('Place the cursor inside the text to split it there.');
+
+    const end = entry.endTimestamp ?? entry.timestamp;
+    const at = Math.round(entry.timestamp + (end - entry.timestamp) * (offset / entry.text.length));
+    const first = { ...entry, text: before, endTimestamp: at };
+    const second = { ...entry, id: nextEntryId(transcript), text: after, timestamp: at, endTimestamp: end };
+    return [...transcript.slice(0, index), first, second, ...transcript.slice(index + 1)];
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function indexOf(transcript, id) {
+    const index = transcript.findIndex(e => e.id === id);
+    if (index < 0) throw new Error('Entry not found — it may have been edited elsewhere.');
+    return index;
+}
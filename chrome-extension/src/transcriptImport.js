@@ -0,0 +1,195 @@
+/**
+ * transcriptImport.js — Read transcript files downloaded from Teams
+ *
+ * Where Teams live transcription is on, the meeting's Recap tab offers the
+ * official transcript as WebVTT (.vtt) or Word (.docx). parseTranscriptFile()
+ * turns either into the extension's transcript entries
+ * ({ speaker, text, timestamp, endTimestamp }), so background.js can store
+ * it as a meeting and summarize it like a recording.
+ *
+ *   .vtt   cues with <v Speaker> voice tags, or "Speaker: text" in older files
+ *   .docx  "Speaker   0:03" lines followed by what they said, or the older
+ *          layout of a cue time, the speaker and the text in turn
+ *
+ * Consecutive cues of one speaker are joined into one entry, as Teams cuts
+ * every few seconds. Files only hold times from the start of the meeting; the
+ * .docx header gives the date, otherwise it is estimated from when the file
+ * was saved. Used by the popup.
+ */
+
+import { readZipFile } from './zip.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const JOIN_GAP_MS = 2000;          // same-speaker cues this close become one entry
+const MAX_ENTRY_MS = 60 * 1000;    // ...unless the entry would get longer than this
+const UNKNOWN_SPEAKER = 'Unknown';
+
+/**
+ * Resolves to { title, startTime, entries } for a .vtt or .docx File;
+ * throws with a readable message when the file cannot be used.
+ */
+export async function parseTranscriptFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let parsed;
+    if (extension === 'vtt') parsed = parseWebVtt(await file.text());
+    else if (extension === 'docx') parsed = parseTeamsDocx(await docxParagraphs(file));
+    else throw new Error('Choose a Teams transcript: a .vtt or .docx file.');
+
+    const cues = parsed.cues.filter(c => c.text);
+    if (!cues.length) throw new Error(`No transcript was found in ${file.name}.`);
+
+    // Downloaded right after the meeting, the file's date is roughly its end
+    const lengthMs = Math.max(...cues.map(c => c.end));
+    const startTime = parsed.startTime ?? file.lastModified - lengthMs;
+    return {
+        title: parsed.title || file.name.replace(/\.[^.]+$/, '').replace(/[-_]?transcript$/i, '').trim() || 'Imported transcript',
+        startTime,
+        entries: joinCues(cues).map(c => ({
+            speaker: c.speaker,
+            text: c.text,
+            timestamp: startTime + c.start,
+            endTimestamp: startTime + c.end,
+        })),
+    };
+}
+
+// ── WebVTT ─────────────────────────────────────────────────────────────────────
+// Resolves to { cues: [{ speaker, text, start, end }] } with times in ms
+function parseWebVtt(source) {
+    const blocks = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    if (!/^WEBVTT/.test(blocks[0] ?? '')) throw new Error('This is not a WebVTT file.');
+
+    const cues = [];
+    for (const block of blocks.slice(1)) {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(l => l.includes('-->'));
+        if (timing < 0) continue;   // NOTE, STYLE and REGION blocks
+        const [start, end] = lines[timing].split('-->').map(t => parseTime(t.trim().split(/\s+/)[0]));
+        if (start == null || end == null) continue;
+
+        const body = lines.slice(timing + 1).join('\n');
+        const voice = /<v(?:\.[^\s>]*)?\s+([^>]+)>/.exec(body);
+        let text = decodeEntities(body.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+        let speaker = voice ? decodeEntities(voice[1]).trim() : null;
+        // Older Teams files: "Ann Smith: text"
+        const prefix = !speaker && /^([^:]{1,60}):\s+(.+)$/.exec(text);
+        if (prefix) [, speaker, text] = prefix;
+        cues.push({ speaker: speaker || UNKNOWN_SPEAKER, text, start, end });
+    }
+    return { cues };
+}
+
+// "00:01:02.500", "01:02.5" or "0:0:3.620" → ms
+function parseTime(text) {
+    const match = /^(?:(\d+):)?(\d+):(\d+)(?:[.,](\d+))?$/.exec(text ?? '');
+    if (!match) return null;
+    const [, h = '0', m, s, fraction = '0'] = match;
+    return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Math.round(Number(`0.${fraction}`) * 1000);
+}
+
+// ── Teams .docx ────────────────────────────────────────────────────────────────
+// Resolves to the document's paragraphs as plain text
+async function docxParagraphs(file) {
+    let xml;
+    try {
+        xml = await readZipFile(file, 'word/document.xml');
+    } catch (_) {
+        xml = null;
+    }
+    if (!xml) throw new Error(`${file.name} is not a Word document.`);
+
+    const document = new TextDecoder().decode(xml);
+    return [...document.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)].map(([paragraph]) => decodeEntities(paragraph
+        .replace(/<w:tab\/>/g, '\u0000\t\u0000')
+        .replace(/<w:br\/>/g, '\u0000\n\u0000')
+        .replace(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g, '\u0000$1\u0000')
+        .split('\u0000').filter((_, i) => i % 2).join('')).trim());
+}
+
+/**
+ * The current layout:                 The older layout:
+ *   Weekly sync                         0:0:0.0 --> 0:0:3.620
+ *   March 5, 2024, 3:00PM               Ann Smith
+ *   45m 10s                             Hello everyone.
+ *   Ann Smith   0:03
+ *   Hello everyone.
+ * Resolves to { title, startTime, cues }.
+ */
+function parseTeamsDocx(paragraphs) {
+    const lines = paragraphs.filter(Boolean);
+    const cues = [];
+    const header = [];
+    let current = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const range = /^(\S+)\s*-->\s*(\S+)$/.exec(line);
+        // A name and a time later than the last one — not a sentence ending in "at 3:00"
+        const speakerLine = /^([^.!?]{1,80}?)\s+(\d{1,2}(?::\d{2}){1,2})$/.exec(line);
+        const inOrder = speakerLine && parseTime(speakerLine[2]) >= (cues[cues.length - 1]?.start ?? 0);
+
+        if (range && parseTime(range[1]) != null) {
+            current = { speaker: lines[i + 1] ?? UNKNOWN_SPEAKER, text: '', start: parseTime(range[1]), end: parseTime(range[2]) };
+            cues.push(current);
+            i++;   // the speaker line
+        } else if (inOrder) {
+            const start = parseTime(speakerLine[2]);
+            current = { speaker: speakerLine[1].trim(), text: '', start, end: start };
+            cues.push(current);
+        } else if (/\b(started|stopped) transcription$/.test(line)) {
+            current = null;
+        } else if (current) {
+            current.text = `${current.text} ${line}`.trim();
+        } else if (!cues.length) {
+            header.push(line);
+        }
+    }
+
+    // The current layout has start times only — each cue runs until the next one
+    cues.forEach((cue, i) => {
+        if (cue.end > cue.start) return;
+        const next = cues[i + 1]?.start;
+        cue.end = next > cue.start ? next : cue.start + estimateSpeechMs(cue.text);
+    });
+
+    return { title: header[0] ?? '', startTime: headerDate(header), cues };
+}
+
+// "March 5, 2024, 3:00PM" in the header, if Teams wrote one
+function headerDate(header) {
+    for (const line of header.slice(1, 3)) {
+        const time = Date.parse(line.replace(/(\d)(AM|PM)\b/i, '$1 $2'));
+        if (!Number.isNaN(time)) return time;
+    }
+    return null;
+}
+
+// Roughly 150 words a minute
+function estimateSpeechMs(text) {
+    return Math.max(1000, text.split(/\s+/).length * 400);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function joinCues(cues) {
+    const entries = [];
+    for (const cue of cues) {
+        const last = entries[entries.length - 1];
+        if (last?.speaker === cue.speaker && cue.start - last.end <= JOIN_GAP_MS && cue.end - last.start <= MAX_ENTRY_MS) {
+            last.text = `${last.text} ${cue.text}`;
+            last.end = Math.max(last.end, cue.end);
+        } else {
+            entries.push({ ...cue });
+        }
+    }
+    return entries;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,160 @@
+/**
+ * transcriptionQueue.js — Ordered, self-limiting queue of Whisper jobs
+ *
+ * offscreen.js enqueues each utterance as a job; jobs are numbered as they
+ * arrive and run one at a time in that order, so transcript entries reach
+ * background.js in the order they were spoken however long inference takes.
+ *
+ * The queue tracks the real-time factor (inference time ÷ audio length) and
+ * estimates how long the waiting jobs will take. When that falls behind:
+ *   - past MERGE_BEHIND_MS, neighbouring jobs of one channel are merged into
+ *     a single Whisper call, which costs less than two short ones;
+ *   - past DROP_BEHIND_MS, the oldest waiting jobs are skipped, so the live
+ *     transcript catches up with the meeting instead of lagging ever further.
+ *     Skipped audio is still in the archive, if one is kept.
+ *
+ * Used by offscreen.js only.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const SAMPLE_RATE = 16000;
+const MERGE_BEHIND_MS = 8000;      // estimated backlog at which jobs are merged
+const DROP_BEHIND_MS = 30000;      // ...and at which the oldest are skipped
+const MERGE_GAP_MS = 2000;         // only merge utterances this close together
+const MAX_MERGED_MS = 28000;       // stay inside Whisper's 30 s window
+const RTF_SMOOTHING = 0.3;         // weight of the newest job in the running average
+const INITIAL_RTF = 0.5;           // assumed until the first job has run
+
+// ── State ──────────────────────────────────────────────────────────────────────
+let handlers = null;    // { run, deliver, onStats } from startQueue()
+let waiting = [];       // [{ seq, channel, samples, startTime, endTime }] in seq order
+let nextSeq = 0;
+let pump = null;        // Promise of the run loop while jobs are being worked off
+let rtf = null;
+let lagMs = 0;          // speech end → delivery of the last job
+let dropped = 0;
+let droppedMs = 0;
+
+/**
+ * Reset the queue for a new recording.
+ *   run(job)             → Promise of a result (may take over job.samples)
+ *   deliver(job, result) → Promise, awaited before the next job runs
+ *   onStats(stats)       → called whenever queueStats() changes
+ */
+export function startQueue({ run, deliver, onStats = () => { } }) {
+    handlers = { run, deliver, onStats };
+    waiting = [];
+    nextSeq = 0;
+    rtf = null;
+    lagMs = 0;
+    dropped = 0;
+    droppedMs = 0;
+}
+
+/** Add an utterance ({ channel, samples, startTime, endTime }); returns its seq. */
+export function enqueue(job) {
+    const seq = nextSeq++;
+    waiting.push({ ...job, seq });
+    applyBackpressure();
+    report();
+    pump ??= runJobs().finally(() => { pump = null; });
+    return seq;
+}
+
+/** Resolves once every queued job has been delivered. */
+export async function drainQueue() {
+    while (pump) await pump;
+}
+
+/**
+ * { queued, queuedSeconds, behindMs, lagMs, rtf, dropped, droppedSeconds } —
+ * behindMs is how long the waiting jobs are expected to take.
+ */
+export function queueStats() {
+    const queuedMs = waiting.reduce((sum, job) => sum + audioMs(job), 0);
+    return {
+        queued: waiting.length,
+        queuedSeconds: queuedMs / 1000,
+        behindMs: queuedMs * (rtf ?? INITIAL_RTF),
+        lagMs,
+        rtf,
+        dropped,
+        droppedSeconds: droppedMs / 1000,
+    };
+}
+
+// ── Run loop ───────────────────────────────────────────────────────────────────
+async function runJobs() {
+    while (waiting.length) {
+        const job = waiting.shift();
+        const jobMs = audioMs(job);   // run() may transfer the samples away
+        const began = performance.now();
+        let result = null;
+        try {
+            result = await handlers.run(job);
+        } catch (err) {
+            console.warn(`[queue] Job ${job.seq} failed:`, err);
+        }
+        const ratio = (performance.now() - began) / Math.max(1, jobMs);
+        rtf = rtf == null ? ratio : rtf + RTF_SMOOTHING * (ratio - rtf);
+
+        if (result) {
+            try {
+                await handlers.deliver(job, result);
+            } catch (err) {
+                console.warn(`[queue] Delivering job ${job.seq} failed:`, err);
+            }
+        }
+        lagMs = Date.now() - job.endTime;
+        report();
+    }
+}
+
+// ── Backpressure ───────────────────────────────────────────────────────────────
+function applyBackpressure() {
+    if (behindMs() > MERGE_BEHIND_MS) mergeNeighbours();
+    while (waiting.length > 1 && behindMs() > DROP_BEHIND_MS) {
+        const job = waiting.shift();
+        dropped++;
+        droppedMs += audioMs(job);
+        console.warn(`[queue] Falling behind — skipped ${(audioMs(job) / 1000).toFixed(1)}s of ${job.channel} audio.`);
+    }
+}
+
+// Only neighbours in the queue are merged, so the order between channels holds
+function mergeNeighbours() {
+    const merged = [waiting[0]];
+    for (const job of waiting.slice(1)) {
+        const last = merged[merged.length - 1];
+        const gap = job.startTime - last.endTime;
+        if (job.channel === last.channel && gap <= MERGE_GAP_MS && job.endTime - last.startTime <= MAX_MERGED_MS) {
+            merged[merged.length - 1] = join(last, job);
+        } else {
+            merged.push(job);
+        }
+    }
+    waiting = merged;
+}
+
+// Fill the gap between two utterances with silence, or skip what they share
+function join(a, b) {
+    const gapSamples = Math.round(((b.startTime - a.endTime) / 1000) * SAMPLE_RATE);
+    const tail = gapSamples < 0 ? b.samples.subarray(Math.min(b.samples.length, -gapSamples)) : b.samples;
+    const samples = new Float32Array(a.samples.length + Math.max(0, gapSamples) + tail.length);
+    samples.set(a.samples);
+    samples.set(tail, samples.length - tail.length);
+    return { ...a, samples, endTime: Math.max(a.endTime, b.endTime) };
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function audioMs(job) {
+    return (job.samples.length / SAMPLE_RATE) * 1000;
+}
+
+function behindMs() {
+    return queueStats().behindMs;
+}
+
+function report() {
+    handlers?.onStats(queueStats());
+}
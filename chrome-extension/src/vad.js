@@ -0,0 +1,208 @@
+/**
+ * vad.js — Utterance segmentation with Silero VAD
+ *
+ * Cuts a channel's audio at natural pauses instead of every few seconds, so
+ * Whisper sees whole utterances and transcript entries follow them. Silero
+ * rates each 32 ms frame as speech or not; an utterance opens on speech (with
+ * a little audio from just before it) and closes after a pause. Monologues
+ * longer than MAX_UTTERANCE_MS are cut anyway and the next segment repeats
+ * the last OVERLAP_MS, so a word split by the cut is heard whole once —
+ * dropOverlap() removes the words transcribed twice.
+ *
+ * The model (~2 MB) downloads once and is cached like the Whisper model. If it
+ * cannot be loaded, frames are rated by their energy instead.
+ *
+ * Used by offscreen.js only.
+ */
+
+import * as ort from 'onnxruntime-web';
+import { getModelFile } from '@xenova/transformers/src/utils/hub.js';
+import { VAD_MODEL, VAD_FILE } from './modelCache.js';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+const SAMPLE_RATE = 16000;
+const FRAME = 512;                 // samples per VAD frame (32 ms)
+const CONTEXT = 64;                // Silero v5 sees the end of the previous frame too
+const SPEECH_PROB = 0.5;           // a frame this likely to be speech opens an utterance
+const SILENCE_PROB = 0.35;         // below this, a frame counts towards the closing pause
+const ENERGY_RMS = 0.005;          // fallback: frames louder than this count as speech
+const MIN_SILENCE_MS = 600;        // a pause this long closes the utterance
+const MIN_SPEECH_MS = 250;         // utterances with less speech are noise
+const MAX_UTTERANCE_MS = 20000;
+const PAD_MS = 200;                // audio kept before and after the speech
+const OVERLAP_MS = 500;            // repeated after a forced cut
+
+const ms = value => Math.round((value / 1000) * SAMPLE_RATE);
+
+let sessionPromise = null;
+
+// ── Model ──────────────────────────────────────────────────────────────────────
+/** Resolves to the Silero session; rejects if the model cannot be loaded. */
+export function loadVad() {
+    sessionPromise ??= getModelFile(VAD_MODEL, VAD_FILE)
+        .then(buffer => ort.InferenceSession.create(buffer, { executionProviders: ['wasm'] }))
+        .catch((err) => {
+            sessionPromise = null;
+            throw err;
+        });
+    return sessionPromise;
+}
+
+// ── Segmentation ───────────────────────────────────────────────────────────────
+/** Segmentation state for one channel; `session` null means energy-based. */
+export function createSegmenter(session) {
+    return {
+        session,
+        state: new Float32Array(2 * 128),
+        context: new Float32Array(CONTEXT),
+        leftover: new Float32Array(0),
+        position: 0,        // samples rated so far
+        preRoll: [],        // last few frames while nobody is speaking
+        utterance: null,    // { frames, start, lastSpeech, speech } while one is open
+    };
+}
+
+/**
+ * Feed captured samples. Resolves to the utterances they completed:
+ * [{ samples, start, end }] with start/end as sample offsets into the channel.
+ */
+export async function segmentAudio(seg, samples) {
+    const input = concat([seg.leftover, samples]);
+    const done = [];
+    let offset = 0;
+    for (; offset + FRAME <= input.length; offset += FRAME) {
+        const frame = input.slice(offset, offset + FRAME);
+        const utterance = step(seg, frame, await speechProbability(seg, frame));
+        if (utterance) done.push(utterance);
+    }
+    seg.leftover = input.slice(offset);
+    return done;
+}
+
+/** Close whatever is still open (recording stopped). Returns an utterance or null. */
+export function flushSegmenter(seg) {
+    if (!seg.utterance) return null;
+    if (seg.leftover.length) seg.utterance.frames.push(seg.leftover);
+    seg.leftover = new Float32Array(0);
+    return close(seg, Infinity);
+}
+
+/** Sample offset before which every utterance has been emitted. */
+export function settledPosition(seg) {
+    return seg.utterance ? seg.utterance.start : seg.position;
+}
+
+async function speechProbability(seg, frame) {
+    if (!seg.session) return rms(frame) >= ENERGY_RMS ? 1 : 0;
+
+    const input = new Float32Array(CONTEXT + FRAME);
+    input.set(seg.context);
+    input.set(frame, CONTEXT);
+    const [probName, stateName] = seg.session.outputNames;
+    const out = await seg.session.run({
+        input: new ort.Tensor('float32', input, [1, input.length]),
+        state: new ort.Tensor('float32', seg.state, [2, 1, 128]),
+        sr: new ort.Tensor('int64', BigInt64Array.of(BigInt(SAMPLE_RATE)), []),
+    });
+    seg.state = out[stateName].data;
+    seg.context = frame.slice(-CONTEXT);
+    return out[probName].data[0];
+}
+
+// Advance by one frame; returns an utterance when this frame completes one
+function step(seg, frame, prob) {
+    const at = seg.position;
+    seg.position += FRAME;
+    const end = seg.position;
+
+    if (!seg.utterance) {
+        if (prob >= SPEECH_PROB) {
+            seg.utterance = {
+                frames: [...seg.preRoll, frame],
+                start: at - seg.preRoll.length * FRAME,
+                lastSpeech: end,
+                speech: FRAME,
+            };
+            seg.preRoll = [];
+        } else {
+            seg.preRoll.push(frame);
+            if (seg.preRoll.length * FRAME > ms(PAD_MS)) seg.preRoll.shift();
+        }
+        return null;
+    }
+
+    const u = seg.utterance;
+    u.frames.push(frame);
+    if (prob >= SILENCE_PROB) u.lastSpeech = end;
+    if (prob >= SPEECH_PROB) u.speech += FRAME;
+
+    if (end - u.lastSpeech >= ms(MIN_SILENCE_MS)) return close(seg, u.lastSpeech + ms(PAD_MS));
+    if (end - u.start >= ms(MAX_UTTERANCE_MS)) {
+        const cut = close(seg, end);
+        // Still talking: carry the tail into the next segment
+        const overlapFrames = Math.ceil(ms(OVERLAP_MS) / FRAME);
+        const frames = u.frames.slice(-overlapFrames);
+        seg.utterance = { frames, start: end - frames.length * FRAME, lastSpeech: end, speech: 0 };
+        return cut;
+    }
+    return null;
+}
+
+// Emit the open utterance up to sample `until`; later frames become pre-roll
+function close(seg, until) {
+    const u = seg.utterance;
+    seg.utterance = null;
+
+    const samples = concat(u.frames);
+    const keep = Math.min(samples.length, until - u.start);
+    // Whole frames from the end, so the pre-roll stays flush with `position`
+    seg.preRoll = [];
+    for (let i = samples.length - FRAME; i >= keep && seg.preRoll.length * FRAME < ms(PAD_MS); i -= FRAME) {
+        seg.preRoll.unshift(samples.slice(i, i + FRAME));
+    }
+
+    if (u.speech < ms(MIN_SPEECH_MS)) return null;
+    return { samples: samples.slice(0, keep), start: u.start, end: u.start + keep };
+}
+
+// ── Overlap ────────────────────────────────────────────────────────────────────
+/**
+ * Words ({ text, start, end }, wall-clock ms) of a segment, minus those the
+ * previous segment of the same channel already produced: first the longest
+ * run that repeats the previous segment's last words, then anything still
+ * inside the time it covered.
+ */
+export function dropOverlap(previous, words) {
+    if (!previous?.length || !words.length) return words;
+
+    const prevEnd = previous[previous.length - 1].end;
+    const tail = previous.slice(-8).map(w => normalize(w.text));
+    const head = words.slice(0, 8).map(w => normalize(w.text));
+    let repeated = 0;
+    for (let n = Math.min(tail.length, head.length); n > 0; n--) {
+        if (tail.slice(-n).every((t, i) => t === head[i])) {
+            repeated = n;
+            break;
+        }
+    }
+    return words.slice(repeated).filter(w => (w.start + w.end) / 2 >= prevEnd);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+function normalize(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function rms(samples) {
+    let sum = 0;
+    for (const v of samples) sum += v * v;
+    return Math.sqrt(sum / samples.length);
+}
+
+function concat(arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.length, 0);
+    const out = new Float32Array(total);
+    let offset = 0;
+    for (const a of arrays) { out.set(a, offset); offset += a.length; }
+    return out;
+}
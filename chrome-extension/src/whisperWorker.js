@@ -0,0 +1,115 @@
+/**
+ * whisperWorker.js — Whisper inference in a dedicated Web Worker
+ *
+ * Owns the transformers.js pipelines so inference never blocks the offscreen
+ * document, where audio capture and voice detection run. offscreen.js talks
+ * to it with numbered requests:
+ *
+ *   { id, type: 'configure', wasmPaths?, allowRemoteModels? } → { id, ok }
+ *   { id, type: 'load', model }                          → { id, ok }
+ *   { id, type: 'transcribe', model, samples, options }  → { id, ok, text, chunks, timing, languages }
+ *   { id, type: 'dispose', model }                       → { id, ok }
+ *
+ * Failures answer { id, ok: false, error }. While a model downloads the worker
+ * also posts { type: 'progress', model, file, progress }.
+ */
+
+import { pipeline, env } from '@xenova/transformers';
+
+// Cache the model locally in browser's Cache API (not HuggingFace CDN after first load)
+env.cacheDir = 'transformers-cache';
+env.allowRemoteModels = true;  // needed for first-time model download
+
+const pipelines = new Map();   // model id → Promise of its pipeline
+
+self.onmessage = async ({ data: msg }) => {
+    try {
+        const result = await handle(msg);
+        self.postMessage({ id: msg.id, ok: true, ...result });
+    } catch (err) {
+        self.postMessage({ id: msg.id, ok: false, error: err.message });
+    }
+};
+
+async function handle(msg) {
+    switch (msg.type) {
+        case 'configure':
+            // chrome.runtime is not available in workers, so the page passes the URL
+            if (msg.wasmPaths) env.backends.onnx.wasm.wasmPaths = msg.wasmPaths;
+            if (msg.allowRemoteModels != null) env.allowRemoteModels = msg.allowRemoteModels;
+            return {};
+
+        case 'load':
+            await loadModel(msg.model);
+            return {};
+
+        case 'transcribe':
+            return transcribe(await loadModel(msg.model), msg.samples, msg.options);
+
+        case 'dispose': {
+            const loading = pipelines.get(msg.model);
+            pipelines.delete(msg.model);
+            await (await loading?.catch(() => null))?.dispose();
+            return {};
+        }
+
+        default:
+            throw new Error(`Unknown request: ${msg.type}`);
+    }
+}
+
+function loadModel(model) {
+    if (!pipelines.has(model)) {
+        const loading = pipeline('automatic-speech-recognition', model, {
+            progress_callback: (progress) => {
+                if (progress.status === 'progress') {
+                    self.postMessage({ type: 'progress', model, file: progress.file, progress: Math.round(progress.progress) });
+                }
+            },
+        });
+        // A failed download may succeed on the next try
+        pipelines.set(model, loading.catch((err) => {
+            pipelines.delete(model);
+            if (env.allowRemoteModels) throw err;
+            throw new Error(`${model} is not installed and model downloads are off — download or import it on the options page.`);
+        }));
+    }
+    return pipelines.get(model);
+}
+
+// Resolves to { text, chunks: [{ text, timestamp: [startSec, endSec] }], timing, languages }.
+// Word timestamps are asked for first; segment timestamps are the fallback.
+// `languages` holds the language code Whisper heard in each 30 s window it decoded.
+async function transcribe(tw, samples, options) {
+    let languages = [];
+    const run = return_timestamps => {
+        languages = [];
+        return tw(samples, {
+            ...options,
+            return_timestamps,
+            chunk_callback: chunk => languages.push(languageOf(tw, chunk.tokens)),
+        });
+    };
+
+    let result;
+    let timing = 'word';
+    try {
+        result = await run('word');
+    } catch (err) {
+        console.warn('[whisper] Word timestamps failed, using segments:', err);
+        timing = 'segment';
+        result = await run(true);
+    }
+    return { text: result?.text ?? '', chunks: result?.chunks ?? [], timing, languages };
+}
+
+// The pipeline does not return the language, but the decoder writes it as a
+// token (<|fr|>) right after <|startoftranscript|>, whether detected or forced
+function languageOf(tw, tokens) {
+    const prompt = tw.tokenizer.model.convert_ids_to_tokens(Array.from(tokens.slice(0, 4), Number));
+    for (const token of prompt) {
+        const match = /^<\|([a-z]{2,3})\|>$/.exec(token);
+        if (match) return match[1];
+    }
+    return null;
+}
@@ -0,0 +1,128 @@
+/**
+ * zip.js — Just enough ZIP for Office documents
+ *
+ * zipFiles() writes an archive with every file stored uncompressed, which
+ * every ZIP reader accepts. readZipFile() pulls one file out of an archive,
+ * inflating it with the browser's DecompressionStream. Neither handles ZIP64
+ * or encryption, which Office files do not use.
+ *
+ * Used by docx.js (writing) and transcriptImport.js (reading Teams .docx).
+ */
+
+// ── Write ──────────────────────────────────────────────────────────────────────
+/** Pack [{ name, data: Uint8Array }] into a ZIP Blob of MIME type `type`. */
+export function zipFiles(entries, type) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const { name, data } of entries) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);            // version needed to extract
+        local.setUint16(6, 0x0800, true);        // names are UTF-8
+        local.setUint16(8, 0, true);             // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);          // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);     // extra, comment, disk and attributes stay 0
+        directory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type });
+}
+
+function dosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+let crcTable = null;
+
+function crc32(data) {
+    crcTable ??= Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+    let crc = 0xffffffff;
+    for (const byte of data) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ── Read ───────────────────────────────────────────────────────────────────────
+/**
+ * The contents of file `name` in a ZIP Blob, as a Uint8Array, or null if the
+ * archive has no such file. Throws if the Blob is not a ZIP.
+ */
+export async function readZipFile(blob, name) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end-of-directory record closes the file, followed only by an optional comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP file.');
+
+    let p = view.getUint32(end + 16, true);
+    for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+        if (view.getUint32(p, true) !== 0x02014b50) throw new Error('The ZIP directory is damaged.');
+        const method = view.getUint16(p + 10, true);
+        const compressedSize = view.getUint32(p + 20, true);
+        const nameLength = view.getUint16(p + 28, true);
+        const entryLength = 46 + nameLength + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+        const offset = view.getUint32(p + 42, true);
+
+        if (decoder.decode(new Uint8Array(buffer, p + 46, nameLength)) === name) {
+            const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+            const data = new Uint8Array(buffer, start, compressedSize);
+            if (method === 0) return data.slice();
+            if (method !== 8) throw new Error(`Unsupported ZIP compression (method ${method}).`);
+            const inflated = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(inflated).arrayBuffer());
+        }
+        p += entryLength;
+    }
+    return null;
+}